@@ -0,0 +1,54 @@
+// Admin session helpers shared by the key management pages
+let csrfToken = null;
+
+// Load the session (sending the browser to the login page if there is none)
+async function loadAdminSession() {
+    const response = await fetch('/api/admin/session', { credentials: 'same-origin' });
+    const session = await response.json();
+
+    if (!session.authenticated) {
+        redirectToLogin();
+        return null;
+    }
+
+    csrfToken = session.csrfToken;
+    return session;
+}
+
+function redirectToLogin() {
+    window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`;
+}
+
+// fetch() for admin endpoints: sends the session cookie and CSRF token
+async function adminFetch(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        credentials: 'same-origin',
+        headers: {
+            ...(options.headers || {}),
+            'X-CSRF-Token': csrfToken || ''
+        }
+    });
+
+    // Session expired or was ended elsewhere
+    if (response.status === 401) {
+        redirectToLogin();
+    }
+    return response;
+}
+
+async function logoutAdmin() {
+    try {
+        await adminFetch('/api/admin/logout', { method: 'POST' });
+    } finally {
+        window.location.href = '/login';
+    }
+}
+
+// Hook up any logout button on the page
+window.addEventListener('DOMContentLoaded', () => {
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logoutAdmin);
+    }
+});
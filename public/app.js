@@ -3,6 +3,8 @@ let player;
 let isPlayerReady = false;
 let qualitySetForCurrentVideo = false;
 let autoplayUnlocked = false;
+let currentVideoUrl = null; // URL passed to the player, as sent by the server or entered locally
+let currentVideoStartedLocally = false; // Whether the video was started on this dashboard rather than sent by the server
 
 // Helper function for localStorage boolean values
 function getLocalStorageBoolean(key, defaultValue = false) {
@@ -47,16 +49,49 @@ function getDeviceName() {
     return deviceName;
 }
 
-// WebSocket connection
-const socket = io();
+// Enrollment links carry the device token in the URL fragment. Keep it and take it out of the address bar.
+function storeEnrollmentToken() {
+    const match = /^#device-token=(lbd_[0-9a-f]{16}_[0-9a-f]{64})$/.exec(window.location.hash);
+    if (match) {
+        localStorage.setItem('deviceToken', match[1]);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+}
+storeEnrollmentToken();
+
+// Per-tab ID, kept for reloads of this tab, so each open tab has its own connection ID
+function getTabId() {
+    let tabId = sessionStorage.getItem('tabId');
+
+    if (!tabId) {
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        tabId = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        sessionStorage.setItem('tabId', tabId);
+    }
+
+    return tabId;
+}
+
+// Role this screen connects with. It drops to observer if the screen is not enrolled as a dashboard.
+let socketRole = 'dashboard';
+
+// WebSocket connection, registered as a dashboard with its device token so the server accepts its
+// playback reports. The auth payload is rebuilt on every (re)connection.
+const socket = io({
+    auth: (cb) => cb(socketRole === 'dashboard'
+        ? { role: 'dashboard', deviceToken: localStorage.getItem('deviceToken') || undefined, tabId: getTabId() }
+        : { role: socketRole, tabId: getTabId() })
+});
 
 // History management
 let videoHistory = [];
 const MAX_HISTORY = 50;
 
-// Playlist management
+// Playlist management (the server owns the playlist, this is the last copy it pushed)
 let playlist = [];
 let currentPlaylistIndex = -1;
+let currentPlaylistItemId = null; // Playlist item currently loaded in the player
+let playlistReceived = false;
 
 // Connected clients tracking
 let connectedClients = [];
@@ -75,6 +110,10 @@ const historyList = document.getElementById('historyList');
 const clearHistoryBtn = document.getElementById('clearHistory');
 const playlistList = document.getElementById('playlistList');
 const clearPlaylistBtn = document.getElementById('clearPlaylist');
+const playlistFormatSelect = document.getElementById('playlistFormat');
+const exportPlaylistBtn = document.getElementById('exportPlaylist');
+const importPlaylistBtn = document.getElementById('importPlaylist');
+const playlistImportFile = document.getElementById('playlistImportFile');
 const playPauseBtn = document.getElementById('playPauseBtn');
 const stopBtn = document.getElementById('stopBtn');
 const fullscreenBtn = document.getElementById('fullscreenBtn');
@@ -134,6 +173,7 @@ function onPlayerReady(event) {
 
     // Update mute button icon
     updateMuteButton(savedVolume);
+    reportNowPlaying();
 
     // Attempt to unlock autoplay by muting and playing a silent video
     unlockAutoplay();
@@ -162,6 +202,7 @@ function onPlayerStateChange(event) {
     } else if (event.data === YT.PlayerState.ENDED) {
         socket.emit('message', JSON.stringify({ type: 'status_update', status: 'stopped' }));
     }
+    reportNowPlaying();
 
     // Update play/pause button icon based on player state
     if (playPauseBtn) {
@@ -174,9 +215,9 @@ function onPlayerStateChange(event) {
         }
     }
 
-    // Auto-play next video when current video ends
+    // Let the server advance the playlist when current video ends
     if (event.data === YT.PlayerState.ENDED) {
-        playNextInPlaylist();
+        socket.emit('message', JSON.stringify({ type: 'video_ended', itemId: currentPlaylistItemId }));
     }
 
     // Set quality only once when video starts playing
@@ -221,7 +262,7 @@ function onPlayerStateChange(event) {
             console.log('Set video quality to:', selectedQuality);
             qualitySetForCurrentVideo = true;
 
-            // Update title in current video display and history after quality is set
+            // Update title in current video display after quality is set
             setTimeout(() => {
                 const title = getVideoTitle();
                 const currentUrl = player.getVideoUrl();
@@ -230,23 +271,13 @@ function onPlayerStateChange(event) {
                     currentUrlElement.setAttribute('data-url', currentUrl || currentUrlElement.textContent);
                     currentUrlElement.textContent = title;
 
-                    // Send title update to server
-                    socket.emit('message', JSON.stringify({ type: 'title_update', title: title }));
-                }
-
-                // Update the most recent history entry with the actual title
-                if (title && currentUrl && videoHistory.length > 0) {
-                    const videoId = extractVideoId(currentUrl);
-                    if (videoId) {
-                        // Find the most recent entry with this video ID
-                        const historyEntry = videoHistory.find(item => item.videoId === videoId);
-                        if (historyEntry && historyEntry.title === 'YouTube Video') {
-                            historyEntry.title = title;
-                            saveHistory();
-                            renderHistory();
-                            console.log('Updated history entry with title:', title);
-                        }
-                    }
+                    // Send title update to server (the server records it in the history)
+                    socket.emit('message', JSON.stringify({
+                        type: 'title_update',
+                        title: title,
+                        url: currentVideoUrl,
+                        local: currentVideoStartedLocally
+                    }));
                 }
             }, 500);
 
@@ -339,51 +370,59 @@ function getVideoTitle() {
     return null;
 }
 
-// Add video to history
-function addToHistory(url, title = null) {
-    // Validate URL before adding
-    if (!isValidYouTubeUrl(url)) {
-        console.warn('Invalid URL rejected from history:', url);
-        return;
-    }
-
-    const videoId = extractVideoId(url);
-    const timestamp = new Date().toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
-
-    // Use provided title or try to get it from player
-    const videoTitle = title || getVideoTitle() || 'YouTube Video';
-
-    // Check if URL already exists in history
-    const existingIndex = videoHistory.findIndex(item => item.url === url);
-
-    if (existingIndex !== -1) {
-        // Remove existing entry
-        videoHistory.splice(existingIndex, 1);
-    }
+// Report position, duration and view state to the server so remote controllers can show progress
+const NOW_PLAYING_INTERVAL = 5000;
 
-    // Add to beginning of history
-    videoHistory.unshift({
-        url,
-        videoId,
-        title: videoTitle,
-        timestamp
-    });
+function reportNowPlaying() {
+    if (!player || !isPlayerReady || !socket.connected) return;
 
-    // Limit history size
-    if (videoHistory.length > MAX_HISTORY) {
-        videoHistory = videoHistory.slice(0, MAX_HISTORY);
+    try {
+        const videoData = player.getVideoData() || {};
+        socket.emit('message', JSON.stringify({
+            type: 'now_playing',
+            currentTime: player.getCurrentTime() || 0,
+            duration: player.getDuration() || 0,
+            videoId: videoData.video_id || null,
+            url: currentVideoUrl,
+            channel: videoData.author || null,
+            muted: player.isMuted() || player.getVolume() === 0,
+            theater: document.body.classList.contains('theater-mode'),
+            fullscreen: document.body.classList.contains('fake-fullscreen-active')
+        }));
+    } catch (e) {
+        console.warn('Could not report now playing state:', e);
     }
+}
 
-    // Save to localStorage
+// Keep the reported position fresh while a video is playing
+setInterval(() => {
+    if (player && isPlayerReady && player.getPlayerState() === YT.PlayerState.PLAYING) {
+        reportNowPlaying();
+    }
+}, NOW_PLAYING_INTERVAL);
+
+// Replace the local history with the copy pushed by the server
+function applyHistoryUpdate(data) {
+    if (!data || !Array.isArray(data.history)) return;
+
+    videoHistory = data.history
+        .map(entry => ({
+            url: entry.url,
+            videoId: entry.videoId,
+            title: entry.title,
+            timestamp: new Date(entry.playedAt).toLocaleString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            })
+        }))
+        .filter(validateHistoryItem)
+        .slice(0, MAX_HISTORY);
+
+    // Keep a local copy so the history shows before the server connection is up
     saveHistory();
-
-    // Update UI
     renderHistory();
 }
 
@@ -423,7 +462,7 @@ function saveHistory() {
     }
 }
 
-// Load history from localStorage with validation
+// Load cached history from localStorage with validation
 function loadHistory() {
     try {
         const saved = localStorage.getItem('videoHistory');
@@ -461,9 +500,7 @@ function loadHistory() {
 // Clear history
 function clearHistory() {
     if (confirm('Are you sure you want to clear all history?')) {
-        videoHistory = [];
-        saveHistory();
-        renderHistory();
+        socket.emit('message', JSON.stringify({ type: 'history_clear' }));
     }
 }
 
@@ -543,173 +580,150 @@ function renderHistory() {
 
 // Replay video from history
 function replayVideo(url) {
+    currentPlaylistItemId = null;
+    currentVideoStartedLocally = true;
     playVideo(url);
 }
 
 // ========== PLAYLIST MANAGEMENT ==========
 
-// Fetch video metadata from YouTube
-async function fetchVideoMetadata(videoId) {
-    try {
-        // Use YouTube oEmbed API (no API key required)
-        const response = await fetch(`https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`);
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch video metadata');
-        }
-
-        const data = await response.json();
-
-        return {
-            title: data.title || 'YouTube Video',
-            author: data.author_name || 'Unknown Channel',
-            thumbnail: data.thumbnail_url || null
-        };
-    } catch (e) {
-        console.warn('Could not fetch video metadata:', e);
-        return {
-            title: 'YouTube Video',
-            author: 'Unknown Channel',
-            thumbnail: null
-        };
-    }
-}
-
-// Add video to playlist
-async function addToPlaylist(url, title = null, addToTop = false) {
+// Ask the server to add a video to the playlist
+function addToPlaylist(url, position) {
     // Validate URL
     if (!isValidYouTubeUrl(url)) {
         console.warn('Invalid URL rejected from playlist:', url);
-        return;
+        return false;
     }
 
-    const videoId = extractVideoId(url);
-
     // Check if URL already exists in playlist
-    const existingIndex = playlist.findIndex(item => item.url === url);
-
-    if (existingIndex !== -1) {
+    const existingItem = playlist.find(item => item.url === url);
+    if (existingItem) {
         console.log('Video already in playlist');
-        const existingTitle = playlist[existingIndex].title || 'This video';
+        const existingTitle = existingItem.title || 'This video';
         showToast('Already in Playlist', existingTitle + ' is already in your playlist', 'info', 3000);
-        return existingIndex; // Return the existing index
+        return false;
     }
 
-    // Fetch metadata if no title provided
-    let metadata = {
-        title: title || 'YouTube Video',
-        author: 'Loading...',
-        thumbnail: null
-    };
-
-    // Add to playlist immediately with loading state
-    const playlistItem = {
+    socket.emit('message', JSON.stringify({
+        type: 'playlist_add',
         url,
-        videoId,
-        title: metadata.title,
-        author: metadata.author,
-        thumbnail: metadata.thumbnail,
-        duration: null
-    };
-
-    if (addToTop) {
-        // Add to the beginning of the playlist
-        playlist.unshift(playlistItem);
+        position
+    }));
 
-        // Adjust current playlist index if needed
-        if (currentPlaylistIndex >= 0) {
-            currentPlaylistIndex++;
-        }
+    console.log('Requested playlist add:', url);
+    return true;
+}
 
-        // The new item is now at index 0
-    } else {
-        // Add to the end of the playlist
-        playlist.push(playlistItem);
+// Set while a playlist saved by an older version is being imported, so the result can be told apart
+let localPlaylistMigrationPending = false;
 
-        // If this is the first item in the playlist, select it by default
-        if (playlist.length === 1 && currentPlaylistIndex === -1) {
-            currentPlaylistIndex = 0;
-        }
+// Move a playlist saved in localStorage by older versions to the server, once.
+// It is only sent when the server playlist is empty, so screens don't add the same queue twice.
+// The saved copy is sent as one import (which keeps the titles) and only deleted once the import succeeds.
+function migrateLocalPlaylist() {
+    let saved = [];
+    try {
+        const parsed = JSON.parse(localStorage.getItem('playlist'));
+        saved = Array.isArray(parsed) ? parsed.filter(item => item && isValidYouTubeUrl(item.url)) : [];
+    } catch (e) {
+        console.error('Failed to read the saved playlist:', e);
     }
 
-    // Save to localStorage
-    savePlaylist();
-
-    // Update UI
-    renderPlaylist();
-
-    console.log('Added to playlist:', metadata.title, addToTop ? '(at top)' : '(at end)');
+    // Observers cannot add to the playlist; keep the saved copy until this screen is enrolled
+    if (socketRole !== 'dashboard') return;
 
-    // Show toast notification
-    showToast('Added to Playlist', metadata.title, 'success', 3000);
-
-    // Fetch full metadata in background
-    if (!title) {
-        const fullMetadata = await fetchVideoMetadata(videoId);
+    if (saved.length > 0 && playlist.length === 0) {
+        localPlaylistMigrationPending = true;
+        socket.emit('message', JSON.stringify({
+            type: 'playlist_import',
+            format: 'json',
+            mode: 'append',
+            content: JSON.stringify(saved.map(item => ({ url: item.url, title: typeof item.title === 'string' ? item.title : undefined })))
+        }));
+        return;
+    }
 
-        // Update the playlist item with fetched metadata
-        const itemIndex = playlist.findIndex(item => item.videoId === videoId);
-        if (itemIndex !== -1) {
-            playlist[itemIndex].title = fullMetadata.title;
-            playlist[itemIndex].author = fullMetadata.author;
-            playlist[itemIndex].thumbnail = fullMetadata.thumbnail;
+    if (saved.length > 0) {
+        showToast('Saved Playlist Not Merged', `The shared playlist already has videos, so ${saved.length} video${saved.length !== 1 ? 's' : ''} saved on this screen were not added`, 'warning', 8000);
+    }
+    localStorage.removeItem('playlist');
+}
 
-            // Save and re-render
-            savePlaylist();
-            renderPlaylist();
+// Finish moving the saved playlist: the local copy is kept if the server did not take it
+function finishLocalPlaylistMigration(data) {
+    localPlaylistMigrationPending = false;
 
-            console.log('Updated playlist item with metadata:', fullMetadata.title);
-        }
+    if (!data.success) {
+        console.warn('Saved playlist was not moved to the server:', data.error);
+        showToast('Saved Playlist Not Moved', `${data.error}. The playlist saved on this screen is kept and will be tried again on the next visit.`, 'warning', 8000);
+        return;
     }
 
-    // Return the index where the item was added
-    return addToTop ? 0 : playlist.length - 1;
-}
-
-// Save playlist to localStorage
-function savePlaylist() {
-    try {
-        localStorage.setItem('playlist', JSON.stringify(playlist));
-    } catch (e) {
-        console.error('Failed to save playlist:', e);
+    localStorage.removeItem('playlist');
+    const { added, rejected } = data.report;
+    if (rejected.length > 0) {
+        console.warn('Saved playlist entries that were not moved:', rejected);
     }
+    showToast('Playlist Restored', `Moved ${added} saved video${added !== 1 ? 's' : ''} to the shared playlist`, 'info', 5000);
 }
 
-// Load playlist from localStorage
-function loadPlaylist() {
-    try {
-        const saved = localStorage.getItem('playlist');
-        if (saved) {
-            const parsed = JSON.parse(saved);
+// Replace the local playlist with the copy pushed by the server
+function applyPlaylistUpdate(data) {
+    if (!data || !Array.isArray(data.items)) return;
 
-            if (Array.isArray(parsed)) {
-                playlist = parsed.filter(validateHistoryItem);
+    const previousIds = playlist.map(item => item.id);
+    const isInitialUpdate = !playlistReceived;
 
-                // If playlist has items and no index is set, select the first one
-                if (playlist.length > 0 && currentPlaylistIndex === -1) {
-                    currentPlaylistIndex = 0;
-                }
+    playlist = data.items.filter(validateHistoryItem);
+    currentPlaylistIndex = typeof data.currentIndex === 'number' ? data.currentIndex : -1;
+    playlistReceived = true;
 
-                renderPlaylist();
-            }
-        }
-    } catch (e) {
-        console.error('Failed to load playlist:', e);
-        localStorage.removeItem('playlist');
-        playlist = [];
+    if (isInitialUpdate) {
+        migrateLocalPlaylist();
+    }
+
+    // Announce videos that were added since the last update
+    if (!isInitialUpdate) {
+        playlist
+            .filter(item => !previousIds.includes(item.id))
+            .forEach(item => showToast('Added to Playlist', item.title, 'success', 3000));
     }
+
+    renderPlaylist();
 }
 
 // Clear playlist
 function clearPlaylist() {
     if (confirm('Are you sure you want to clear the playlist?')) {
-        playlist = [];
-        currentPlaylistIndex = -1;
-        savePlaylist();
-        renderPlaylist();
+        socket.emit('message', JSON.stringify({ type: 'playlist_clear' }));
     }
 }
 
+// Ask the server for an export of the playlist (JSON also includes the history)
+function exportPlaylist() {
+    const format = playlistFormatSelect ? playlistFormatSelect.value : 'json';
+    socket.emit('message', JSON.stringify({ type: 'playlist_export', format }));
+}
+
+// Send a playlist file to the server, which validates every entry and appends them
+function importPlaylistFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const format = { json: 'json', m3u: 'm3u', m3u8: 'm3u', txt: 'txt' }[extension];
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        socket.emit('message', JSON.stringify({
+            type: 'playlist_import',
+            format,
+            content: reader.result
+        }));
+    };
+    reader.onerror = () => {
+        showToast('Import Failed', 'Could not read the file', 'error', 4000);
+    };
+    reader.readAsText(file);
+}
+
 // Render playlist
 function renderPlaylist() {
     if (!playlistList) return;
@@ -790,53 +804,42 @@ function renderPlaylist() {
     });
 }
 
-// Play video from playlist
+// Play video from playlist (the server moves its cursor and tells every dashboard to play)
 function playFromPlaylist(index) {
     if (index < 0 || index >= playlist.length) return;
 
-    currentPlaylistIndex = index;
-    const item = playlist[index];
-    playVideo(item.url, true);
-    renderPlaylist();
+    socket.emit('message', JSON.stringify({
+        type: 'playlist_select',
+        itemId: playlist[index].id
+    }));
 }
 
 // Remove video from playlist
 function removeFromPlaylist(index) {
     if (index < 0 || index >= playlist.length) return;
 
-    // If removing currently playing video, adjust index
-    if (index === currentPlaylistIndex) {
-        currentPlaylistIndex = -1;
-    } else if (index < currentPlaylistIndex) {
-        currentPlaylistIndex--;
-    }
-
-    playlist.splice(index, 1);
-    savePlaylist();
-    renderPlaylist();
+    socket.emit('message', JSON.stringify({
+        type: 'playlist_remove',
+        itemId: playlist[index].id
+    }));
 }
 
 // Play next video in playlist
 function playNextInPlaylist() {
     if (playlist.length === 0) return;
 
-    const nextIndex = (currentPlaylistIndex + 1) % playlist.length;
-    playFromPlaylist(nextIndex);
+    socket.emit('message', JSON.stringify({ type: 'playlist_next' }));
 }
 
 // Play previous video in playlist
 function playPreviousInPlaylist() {
     if (playlist.length === 0) return;
 
-    // Handle wrapping around to the end of the playlist
-    const previousIndex = currentPlaylistIndex - 1 < 0
-        ? playlist.length - 1
-        : currentPlaylistIndex - 1;
-    playFromPlaylist(previousIndex);
+    socket.emit('message', JSON.stringify({ type: 'playlist_previous' }));
 }
 
 // Play video
-function playVideo(url, addToHistoryFlag = true) {
+function playVideo(url) {
     const videoId = extractVideoId(url);
 
     if (!videoId) {
@@ -847,7 +850,7 @@ function playVideo(url, addToHistoryFlag = true) {
 
     if (!isPlayerReady) {
         console.log('Player not ready yet, waiting...');
-        setTimeout(() => playVideo(url, addToHistoryFlag), 500);
+        setTimeout(() => playVideo(url), 500);
         return;
     }
 
@@ -870,10 +873,7 @@ function playVideo(url, addToHistoryFlag = true) {
         currentUrlIcon.style.display = 'inline-flex';
     }
 
-    // Add to history
-    if (addToHistoryFlag) {
-        addToHistory(url);
-    }
+    currentVideoUrl = url;
 
     console.log('Playing video:', videoId);
 }
@@ -901,6 +901,36 @@ socket.on('connect', () => {
         name: deviceName
     }));
     console.log('Identified as:', deviceName);
+
+    // The server may have restarted and lost the now-playing state
+    reportNowPlaying();
+});
+
+// The server refuses the dashboard role without a valid device token
+socket.on('connect_error', (error) => {
+    const code = error.data && error.data.code;
+    if (code === 'invalid-device-token') {
+        console.warn('Device token was rejected, reconnecting without it');
+        localStorage.removeItem('deviceToken');
+        socket.connect();
+    } else if (code === 'enrollment-required') {
+        console.warn('This screen is not enrolled as a dashboard, connecting as observer');
+        socketRole = 'observer';
+        showToast(
+            'Dashboard Not Enrolled',
+            'This screen can only watch. Log in as admin here or open an enrollment link to use it as a dashboard.',
+            'warning',
+            15000
+        );
+        socket.connect();
+    }
+});
+
+// This screen was enrolled with the admin login; keep the token for later connections
+socket.on('device-enrolled', (data) => {
+    localStorage.setItem('deviceToken', data.token);
+    console.log('Dashboard enrolled as device:', data.id);
+    showToast('Dashboard Enrolled', 'This screen is now registered as a dashboard', 'success', 5000);
 });
 
 socket.on('disconnect', () => {
@@ -942,6 +972,16 @@ socket.on('connected-clients', (data) => {
     }
 });
 
+// The device was renamed through the API; keep the new name for future connections
+socket.on('device-renamed', (data) => {
+    if (data.name === getDeviceName()) {
+        return;
+    }
+    localStorage.setItem('deviceName', data.name);
+    console.log('Device renamed to:', data.name);
+    showToast('Dashboard Renamed', `This dashboard is now called ${data.name}`, 'info', 5000);
+});
+
 // Handle new client connection notification
 socket.on('client-connected', (data) => {
     console.log('New client connected:', data);
@@ -950,28 +990,96 @@ socket.on('client-connected', (data) => {
     showToast('Device Connected', `${deviceName} has joined`, 'success', 5000);
 });
 
-socket.on('play-video', (data) => {
-    console.log('Received play-video event:', data);
-    addToPlaylist(data.url);
+// History pushed by the server (on connect and after every played video)
+socket.on('history-updated', (data) => {
+    console.log('Received history update:', data);
+    applyHistoryUpdate(data);
 });
 
-// Play video now event - plays immediately (adds to top and plays)
-socket.on('play-video-now', (data) => {
+// Playlist pushed by the server (on connect and after every change)
+socket.on('playlist-updated', (data) => {
+    console.log('Received playlist update:', data);
+    applyPlaylistUpdate(data);
+});
+
+// Report the outcome of a server command back through its acknowledgement callback
+function acknowledge(ack, error = null) {
+    if (typeof ack !== 'function') return;
+    ack(error ? { ok: false, error } : { ok: true });
+}
+
+// Playlist export built by the server - save it as a file
+socket.on('playlist-export', (data) => {
+    const blob = new Blob([data.content], { type: data.contentType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = data.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+// Playlist panel actions this dashboard is not allowed to make, or is making too fast
+socket.on('message-error', (data) => {
+    console.warn(`${data.type} rejected (${data.code}): ${data.error}`);
+    if (data.type === 'playlist_import' && localPlaylistMigrationPending) {
+        finishLocalPlaylistMigration({ success: false, error: data.error });
+        return;
+    }
+    showToast('Action Not Allowed', data.error, 'warning', 5000);
+});
+
+// Report of a playlist import sent from this dashboard
+socket.on('playlist-import-result', (data) => {
+    if (localPlaylistMigrationPending) {
+        finishLocalPlaylistMigration(data);
+        return;
+    }
+
+    if (!data.success) {
+        showToast('Import Failed', data.error, 'error', 5000);
+        return;
+    }
+
+    const { added, duplicates, historyImported, rejected } = data.report;
+    let message = `${added} added, ${duplicates} already in playlist`;
+    if (historyImported > 0) {
+        message += `, ${historyImported} history entries`;
+    }
+    if (rejected.length > 0) {
+        message += `, ${rejected.length} rejected (see console)`;
+        console.warn('Rejected import entries:', rejected);
+    }
+    showToast('Playlist Imported', message, rejected.length > 0 ? 'warning' : 'success', 5000);
+});
+
+// Play video now event - plays immediately (itemId is set when playing from the playlist)
+socket.on('play-video-now', (data, ack) => {
     console.log('Received play-video-now event:', data);
+    if (!isPlayerReady) {
+        acknowledge(ack, 'Player not ready');
+        return;
+    }
+    currentPlaylistItemId = data.itemId || null;
+    currentVideoStartedLocally = false;
     playVideo(data.url);
+    acknowledge(ack);
 });
 
 // Control event handlers from API
-socket.on('control-play-pause', () => {
+socket.on('control-play-pause', (data, ack) => {
     console.log('Received play/pause toggle command from API');
 
     if (!player) {
         console.error('Player not initialized');
+        acknowledge(ack, 'Player not initialized');
         return;
     }
 
     if (!isPlayerReady) {
         console.error('Player not ready yet');
+        acknowledge(ack, 'Player not ready');
         return;
     }
 
@@ -993,13 +1101,15 @@ socket.on('control-play-pause', () => {
             player.playVideo();
             console.log('Playing/resuming video');
         }
+        acknowledge(ack);
     } catch (error) {
         console.error('Error toggling play/pause:', error);
+        acknowledge(ack, error.message);
     }
 });
 
 // Deprecated: kept for backward compatibility
-socket.on('control-pause', () => {
+socket.on('control-pause', (data, ack) => {
     console.log('Received pause command from API (deprecated, using toggle)');
     // Trigger play-pause toggle
     if (player && isPlayerReady) {
@@ -1008,13 +1118,17 @@ socket.on('control-pause', () => {
             if (currentState === YT.PlayerState.PLAYING) {
                 player.pauseVideo();
             }
+            acknowledge(ack);
         } catch (error) {
             console.error('Error in deprecated pause handler:', error);
+            acknowledge(ack, error.message);
         }
+    } else {
+        acknowledge(ack, 'Player not ready');
     }
 });
 
-socket.on('control-resume', () => {
+socket.on('control-resume', (data, ack) => {
     console.log('Received resume command from API (deprecated, using toggle)');
     // Trigger play-pause toggle
     if (player && isPlayerReady) {
@@ -1023,22 +1137,30 @@ socket.on('control-resume', () => {
             if (currentState !== YT.PlayerState.PLAYING) {
                 player.playVideo();
             }
+            acknowledge(ack);
         } catch (error) {
             console.error('Error in deprecated resume handler:', error);
+            acknowledge(ack, error.message);
         }
+    } else {
+        acknowledge(ack, 'Player not ready');
     }
 });
 
-socket.on('control-stop', () => {
+socket.on('control-stop', (data, ack) => {
     console.log('Received stop command from API');
     if (player && isPlayerReady) {
         player.stopVideo();
         placeholder.classList.remove('hidden');
         currentUrlElement.textContent = 'No video loaded';
+        reportNowPlaying();
+        acknowledge(ack);
+    } else {
+        acknowledge(ack, 'Player not ready');
     }
 });
 
-socket.on('control-fullscreen', () => {
+socket.on('control-fullscreen', (data, ack) => {
     console.log('Received toggle fullscreen command from API');
 
     // Toggle CSS-based "fake fullscreen" (workaround for browser security restrictions)
@@ -1054,10 +1176,12 @@ socket.on('control-fullscreen', () => {
             console.log('Entered fake fullscreen mode');
         }
     }
+    reportNowPlaying();
+    acknowledge(ack);
 });
 
 // Deprecated: kept for backward compatibility
-socket.on('control-exitfullscreen', () => {
+socket.on('control-exitfullscreen', (data, ack) => {
     console.log('Received toggle fullscreen command from API (via deprecated control-exitfullscreen)');
 
     // Toggle fullscreen (same as control-fullscreen)
@@ -1073,9 +1197,11 @@ socket.on('control-exitfullscreen', () => {
             console.log('Entered fake fullscreen mode');
         }
     }
+    reportNowPlaying();
+    acknowledge(ack);
 });
 
-socket.on('control-volume', (data) => {
+socket.on('control-volume', (data, ack) => {
     console.log('Received volume command from API:', data.level);
     if (player && isPlayerReady) {
         player.setVolume(data.level);
@@ -1090,6 +1216,10 @@ socket.on('control-volume', (data) => {
 
         // Update mute button icon
         updateMuteButton(data.level);
+        reportNowPlaying();
+        acknowledge(ack);
+    } else {
+        acknowledge(ack, 'Player not ready');
     }
 });
 
@@ -1115,43 +1245,78 @@ socket.on('state-volume-changed', (data) => {
     updateMuteButton(data.volume);
 });
 
-socket.on('control-next', () => {
-    console.log('Received next command from API');
-    playNextInPlaylist();
-});
-
-socket.on('control-previous', () => {
-    console.log('Received previous command from API');
-    playPreviousInPlaylist();
-});
-
-socket.on('control-mute', () => {
+socket.on('control-mute', (data, ack) => {
     console.log('Received mute command from API');
+    if (!isPlayerReady) {
+        acknowledge(ack, 'Player not ready');
+        return;
+    }
     if (muteBtn) {
         muteBtn.click();
     }
+    acknowledge(ack);
 });
 
-socket.on('control-theater', () => {
+socket.on('control-theater', (data, ack) => {
     console.log('Received theater mode toggle command from API');
     const theaterModeBtn = document.getElementById('theaterModeBtn');
     if (theaterModeBtn) {
         theaterModeBtn.click();
     }
+    acknowledge(ack);
 });
 
-socket.on('control-seek-back', () => {
+socket.on('control-seek-back', (data, ack) => {
     console.log('Received seek backward command from API');
+    if (!isPlayerReady) {
+        acknowledge(ack, 'Player not ready');
+        return;
+    }
     if (seekBackBtn) {
         seekBackBtn.click();
     }
+    acknowledge(ack);
 });
 
-socket.on('control-seek-forward', () => {
+socket.on('control-seek', (data, ack) => {
+    console.log('Received seek command from API:', data);
+    if (!player || !isPlayerReady) {
+        acknowledge(ack, 'Player not ready');
+        return;
+    }
+
+    const duration = player.getDuration();
+    let newTime;
+    if (data.mode === 'percent') {
+        if (!duration) {
+            acknowledge(ack, 'Video duration unknown');
+            return;
+        }
+        newTime = duration * data.value / 100;
+    } else if (data.mode === 'offset') {
+        newTime = player.getCurrentTime() + data.value;
+    } else {
+        newTime = data.value;
+    }
+
+    // Keep the position inside the video
+    newTime = Math.max(0, duration ? Math.min(duration, newTime) : newTime);
+    player.seekTo(newTime, true);
+    console.log(`Seeked to ${newTime.toFixed(2)}s`);
+    reportNowPlaying();
+    acknowledge(ack);
+});
+
+socket.on('control-seek-forward', (data, ack) => {
     console.log('Received seek forward command from API');
+    if (!isPlayerReady) {
+        acknowledge(ack, 'Player not ready');
+        return;
+    }
     if (seekForwardBtn) {
         seekForwardBtn.click();
     }
+    acknowledge(ack);
 });
 
 // Play Now button handler - plays immediately
@@ -1171,6 +1336,8 @@ if (playNowButton) {
         }
 
         // Play immediately
+        currentPlaylistItemId = null;
+        currentVideoStartedLocally = true;
         playVideo(url);
         testUrl.value = '';
         console.log('Playing video immediately');
@@ -1178,7 +1345,7 @@ if (playNowButton) {
 }
 
 // Add to Playlist button handler - adds to playlist without playing
-testButton.addEventListener('click', async () => {
+testButton.addEventListener('click', () => {
     const url = testUrl.value.trim();
 
     if (!url) {
@@ -1193,10 +1360,10 @@ testButton.addEventListener('click', async () => {
     }
 
     // Add to end of playlist without playing
-    await addToPlaylist(url);
-    testUrl.value = '';
-    showToast('Added to Playlist', 'Video queued in playlist', 'success', 3000);
-    console.log('Video added to playlist');
+    if (addToPlaylist(url)) {
+        testUrl.value = '';
+        console.log('Video added to playlist');
+    }
 });
 
 // Allow Enter key to submit
@@ -1227,6 +1394,7 @@ function toggleFullscreen() {
 
     // Update button text
     updateFullscreenButton();
+    reportNowPlaying();
 }
 
 // Exit fullscreen floating button functionality
@@ -1379,6 +1547,7 @@ if (seekBackBtn) {
         const newTime = Math.max(0, currentTime - 10);
         player.seekTo(newTime, true);
         console.log(`Seeked backward to ${newTime.toFixed(2)}s`);
+        reportNowPlaying();
     });
 }
 
@@ -1394,6 +1563,7 @@ if (seekForwardBtn) {
         const newTime = Math.min(duration, currentTime + 10);
         player.seekTo(newTime, true);
         console.log(`Seeked forward to ${newTime.toFixed(2)}s`);
+        reportNowPlaying();
     });
 }
 
@@ -1448,6 +1618,7 @@ if (theaterModeBtn) {
         updateTheaterModeButton();
 
         console.log('Theater mode:', isTheaterMode ? 'enabled' : 'disabled');
+        reportNowPlaying();
     });
 
     // Load saved theater mode state with validation
@@ -1508,6 +1679,7 @@ if (volumeSlider) {
         }));
 
         console.log('Volume set to:', volume);
+        reportNowPlaying();
     });
 }
 
@@ -1548,6 +1720,7 @@ if (muteBtn) {
             updateMuteButton(volumeToRestore);
             console.log('Unmuted to:', volumeToRestore);
         }
+        reportNowPlaying();
     });
 }
 
@@ -1597,6 +1770,22 @@ if (clearPlaylistBtn) {
     clearPlaylistBtn.addEventListener('click', clearPlaylist);
 }
 
+// Playlist import/export buttons
+if (exportPlaylistBtn) {
+    exportPlaylistBtn.addEventListener('click', exportPlaylist);
+}
+
+if (importPlaylistBtn && playlistImportFile) {
+    importPlaylistBtn.addEventListener('click', () => playlistImportFile.click());
+    playlistImportFile.addEventListener('change', () => {
+        if (playlistImportFile.files.length > 0) {
+            importPlaylistFile(playlistImportFile.files[0]);
+        }
+        // Allow importing the same file again
+        playlistImportFile.value = '';
+    });
+}
+
 // Current URL icon button
 const currentUrlIcon = document.getElementById('currentUrlIcon');
 if (currentUrlIcon) {
@@ -1700,6 +1889,54 @@ socket.on('auth-attempt', (data) => {
     }
 });
 
+// Pairing codes: show the code a controller is waiting for until it is used or expires
+let activePairingId = null;
+let pairingCountdownTimer = null;
+
+function hidePairingOverlay() {
+    clearInterval(pairingCountdownTimer);
+    pairingCountdownTimer = null;
+    activePairingId = null;
+    document.getElementById('pairingOverlay').style.display = 'none';
+}
+
+socket.on('pairing-code', (data) => {
+    const overlay = document.getElementById('pairingOverlay');
+    const countdown = document.getElementById('pairingCountdown');
+    const expiresAt = new Date(data.expiresAt).getTime();
+
+    activePairingId = data.pairingId;
+    document.getElementById('pairingDeviceName').textContent = data.deviceName;
+    document.getElementById('pairingCode').textContent = data.code;
+
+    const updateCountdown = () => {
+        const remaining = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000));
+        countdown.textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        if (remaining === 0) {
+            hidePairingOverlay();
+        }
+    };
+
+    clearInterval(pairingCountdownTimer);
+    overlay.style.display = 'flex';
+    updateCountdown();
+    pairingCountdownTimer = setInterval(updateCountdown, 1000);
+});
+
+socket.on('pairing-ended', (data) => {
+    if (data.pairingId === activePairingId) {
+        hidePairingOverlay();
+    }
+
+    if (data.reason === 'paired') {
+        showToast('Device Paired', `${data.deviceName} can now control this dashboard`, 'success');
+    } else if (data.reason === 'too-many-attempts') {
+        showToast('Pairing Cancelled', `Too many wrong codes entered for ${data.deviceName}`, 'warning');
+    }
+});
+
+document.getElementById('dismissPairingBtn').addEventListener('click', hidePairingOverlay);
+
 // YouTube controls toggle functionality
 function setupYTControlsToggle() {
     const toggleYTControlsBtn = document.getElementById('toggleYTControls');
@@ -1917,6 +2154,5 @@ document.addEventListener('keydown', (e) => {
 // Initialize
 loadYouTubeAPI();
 loadHistory();
-loadPlaylist();
 setupYTControlsToggle();
 checkAutoplayStatus();
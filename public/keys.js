@@ -1,9 +1,10 @@
 let currentGeneratedKey = '';
 
 // Load keys on page load
-window.addEventListener('DOMContentLoaded', () => {
-    console.log('Keys page loaded');
-    loadKeys();
+window.addEventListener('DOMContentLoaded', async () => {
+    if (await loadAdminSession()) {
+        loadKeys();
+    }
 
     // Set Server URL (Socket.io uses HTTP/HTTPS, not WS/WSS)
     const protocol = window.location.protocol; // http: or https:
@@ -17,7 +18,6 @@ window.addEventListener('DOMContentLoaded', () => {
 
     if (generateBtn) {
         generateBtn.addEventListener('click', generateKey);
-        console.log('Generate button listener added');
     } else {
         console.error('Generate button not found!');
     }
@@ -29,9 +29,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
 // Generate API key
 async function generateKey() {
-    console.log('Generate key function called');
     const deviceName = document.getElementById('deviceName').value.trim();
-    console.log('Device name:', deviceName);
 
     if (!deviceName) {
         showAlert('addAlertContainer', 'error', 'Please enter a device name');
@@ -39,33 +37,24 @@ async function generateKey() {
     }
 
     try {
-        // Generate key using crypto in browser
-        const keyArray = new Uint8Array(32);
-        window.crypto.getRandomValues(keyArray);
-        const apiKey = Array.from(keyArray)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-
-        console.log('Generated key, sending to server...');
-
-        // Save the key to the server
-        const response = await fetch('/api/setup/generate-key', {
+        // The server generates the key and returns it only once
+        const response = await adminFetch('/api/setup/generate-key', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
                 name: deviceName,
-                key: apiKey
+                scopes: getSelectedScopes(),
+                expiresAt: getSelectedExpiry()
             })
         });
 
         const result = await response.json();
-        console.log('Server response:', result);
 
         if (result.success) {
-            currentGeneratedKey = apiKey;
-            document.getElementById('generatedKeyValue').textContent = apiKey;
+            currentGeneratedKey = result.key;
+            document.getElementById('generatedKeyValue').textContent = result.key;
             document.getElementById('generatedKeyBox').classList.add('show');
             document.getElementById('deviceName').value = '';
             showAlert('addAlertContainer', 'success', 'API key generated successfully!');
@@ -84,7 +73,7 @@ async function generateKey() {
 // Load all keys
 async function loadKeys() {
     try {
-        const response = await fetch('/api/keys/list');
+        const response = await adminFetch('/api/keys/list');
         const result = await response.json();
 
         if (result.success) {
@@ -106,29 +95,48 @@ function displayKeys(keys) {
         return;
     }
 
-    keysList.innerHTML = keys.map(key => `
-        <div class="key-item">
-            <div class="key-name">${escapeHtml(key.name)}</div>
+    keysList.innerHTML = keys.map(key => {
+        const active = key.status === 'active';
+        const keyAttrs = `data-key-id="${escapeHtml(key.id)}" data-key-name="${escapeHtml(key.name)}"`;
+
+        return `
+        <div class="key-item${active ? '' : ' inactive'}">
+            <div class="key-name">${escapeHtml(key.name)} <span class="status-badge status-${escapeHtml(key.status)}">${escapeHtml(key.status)}</span></div>
+            <div class="key-scopes">${(key.scopes || []).map(scope => `<span class="scope-badge">${escapeHtml(scope)}</span>`).join('')}</div>
             <div class="key-value-row">
-                <div class="key-value">${escapeHtml(key.key)}</div>
-                <button class="copy-btn" data-key="${escapeHtml(key.key)}">📋 Copy</button>
-                <button class="rename-btn" data-key-id="${escapeHtml(key.id)}" data-key-name="${escapeHtml(key.name)}">✏️ Rename</button>
-                <button class="delete-btn" data-key-id="${escapeHtml(key.id)}" data-key-name="${escapeHtml(key.name)}">🗑️ Delete</button>
+                <div class="key-value">${escapeHtml(key.prefix)}…</div>
+                ${active ? `
+                <button class="rename-btn" ${keyAttrs}>✏️ Rename</button>
+                <button class="rename-btn scopes-btn" ${keyAttrs} data-key-scopes="${escapeHtml((key.scopes || []).join(', '))}">🔑 Scopes</button>
+                <button class="rename-btn rotate-btn" ${keyAttrs}>🔄 Rotate</button>
+                <button class="delete-btn" ${keyAttrs}>🚫 Revoke</button>` : ''}
             </div>
             ${key.createdAt ? `<div class="key-meta">Created: ${new Date(key.createdAt).toLocaleString()}</div>` : ''}
+            <div class="key-meta">${describeExpiry(key)}</div>
+            <div class="key-meta">${describeUsage(key.usage)}</div>
+            ${key.rateLimits ? `<div class="key-meta">Limits: ${key.rateLimits.requestsPerMinute} requests/minute, ${key.rateLimits.queueAdditionsPerHour} queue additions/hour</div>` : ''}
+            ${key.revokedAt ? `<div class="key-meta">Revoked: ${new Date(key.revokedAt).toLocaleString()}${key.revocationReason ? ` (${escapeHtml(key.revocationReason)})` : ''}</div>` : ''}
+            ${key.rotatedTo ? '<div class="key-meta">Rotated: a successor key has been issued</div>' : ''}
         </div>
-    `).join('');
+    `;
+    }).join('');
 
-    // Add copy button event listeners
-    document.querySelectorAll('.copy-btn[data-key]').forEach(btn => {
+    // Add scopes button event listeners
+    document.querySelectorAll('.scopes-btn').forEach(btn => {
         btn.addEventListener('click', function() {
-            const key = this.getAttribute('data-key');
-            copyToClipboard(key, 'listAlertContainer');
+            editScopes(this.getAttribute('data-key-id'), this.getAttribute('data-key-name'), this.getAttribute('data-key-scopes'));
+        });
+    });
+
+    // Add rotate button event listeners
+    document.querySelectorAll('.rotate-btn').forEach(btn => {
+        btn.addEventListener('click', function() {
+            rotateKey(this.getAttribute('data-key-id'), this.getAttribute('data-key-name'));
         });
     });
 
     // Add rename button event listeners
-    document.querySelectorAll('.rename-btn').forEach(btn => {
+    document.querySelectorAll('.rename-btn:not(.scopes-btn):not(.rotate-btn)').forEach(btn => {
         btn.addEventListener('click', function() {
             const keyId = this.getAttribute('data-key-id');
             const keyName = this.getAttribute('data-key-name');
@@ -141,7 +149,7 @@ function displayKeys(keys) {
         btn.addEventListener('click', function() {
             const keyId = this.getAttribute('data-key-id');
             const keyName = this.getAttribute('data-key-name');
-            deleteKey(keyId, keyName);
+            revokeKey(keyId, keyName);
         });
     });
 }
@@ -160,7 +168,7 @@ async function renameKey(keyId, currentName) {
     }
 
     try {
-        const response = await fetch(`/api/keys/${keyId}`, {
+        const response = await adminFetch(`/api/keys/${keyId}`, {
             method: 'PATCH',
             headers: {
                 'Content-Type': 'application/json'
@@ -184,28 +192,148 @@ async function renameKey(keyId, currentName) {
     }
 }
 
-// Delete an API key
-async function deleteKey(keyId, keyName) {
-    if (!confirm(`Are you sure you want to delete the API key "${keyName}"?`)) {
+// Change the scopes of an API key
+async function editScopes(keyId, keyName, currentScopes) {
+    const input = prompt(
+        `Scopes for "${keyName}" (comma-separated: playback, queue:add, queue:manage, volume, state:read, schedule, admin):`,
+        currentScopes
+    );
+
+    if (input === null) {
         return;
     }
 
+    const scopes = input.split(',').map(scope => scope.trim()).filter(scope => scope.length > 0);
+
     try {
-        const response = await fetch(`/api/keys/${keyId}`, {
-            method: 'DELETE'
+        const response = await adminFetch(`/api/keys/${keyId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ scopes })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            showAlert('listAlertContainer', 'success', 'API key scopes updated');
+            loadKeys();
+        } else {
+            showAlert('listAlertContainer', 'error', result.error || 'Failed to update scopes');
+        }
+    } catch (error) {
+        console.error('Scopes error:', error);
+        showAlert('listAlertContainer', 'error', 'Error updating scopes: ' + error.message);
+    }
+}
+
+// Scopes ticked in the "Add New API Key" form
+function getSelectedScopes() {
+    return Array.from(document.querySelectorAll('#scopeOptions input:checked')).map(input => input.value);
+}
+
+// Expiry line for a key in the list
+function describeExpiry(key) {
+    if (!key.expiresAt) {
+        return 'Never expires';
+    }
+    const expiresAt = new Date(key.expiresAt);
+    return `${expiresAt.getTime() <= Date.now() ? 'Expired' : 'Expires'}: ${expiresAt.toLocaleString()}`;
+}
+
+// Usage lines for a key in the list: last use and the most-used commands
+function describeUsage(usage) {
+    if (!usage) {
+        return 'Never used';
+    }
+
+    const topCommands = Object.entries(usage.commands || {})
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([command, count]) => `${escapeHtml(command)} × ${count}`)
+        .join(', ');
+
+    return `Last used: ${new Date(usage.lastUsedAt).toLocaleString()} from ${escapeHtml(usage.lastIp || 'unknown IP')}` +
+        (usage.lastUserAgent ? ` <span class="user-agent" title="${escapeHtml(usage.lastUserAgent)}">(${escapeHtml(usage.lastUserAgent.substring(0, 40))})</span>` : '') +
+        `<br>Requests: ${usage.requestCount}${topCommands ? ` — ${topCommands}` : ''}`;
+}
+
+// Expiry chosen in the "Add New API Key" form, as an ISO date (or null for never)
+function getSelectedExpiry() {
+    const days = parseInt(document.getElementById('keyExpiry').value, 10);
+    return days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+}
+
+// Rotate an API key: issue a successor and keep the old key valid for a grace period
+async function rotateKey(keyId, keyName) {
+    const graceInput = prompt(`Rotate "${keyName}"?\n\nHow many hours should the old key keep working?`, '24');
+
+    if (graceInput === null) {
+        return;
+    }
+
+    const gracePeriodHours = Number(graceInput);
+    if (graceInput.trim() === '' || !isFinite(gracePeriodHours) || gracePeriodHours < 0) {
+        showAlert('listAlertContainer', 'error', 'Enter a number of hours (0 or more)');
+        return;
+    }
+
+    try {
+        const response = await adminFetch(`/api/keys/${keyId}/rotate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ gracePeriodHours })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            currentGeneratedKey = result.key;
+            document.getElementById('generatedKeyValue').textContent = result.key;
+            document.getElementById('generatedKeyBox').classList.add('show');
+            document.getElementById('generatedKeyBox').scrollIntoView({ behavior: 'smooth' });
+            showAlert('addAlertContainer', 'success', `New key issued for "${keyName}". Copy it now!`);
+            loadKeys();
+        } else {
+            showAlert('listAlertContainer', 'error', result.error || 'Failed to rotate key');
+        }
+    } catch (error) {
+        console.error('Rotate error:', error);
+        showAlert('listAlertContainer', 'error', 'Error rotating key: ' + error.message);
+    }
+}
+
+// Revoke an API key (it stays in the list with the revocation reason)
+async function revokeKey(keyId, keyName) {
+    const reason = prompt(`Revoke the API key "${keyName}"? Devices using it will stop working immediately.\n\nReason (optional):`, '');
+
+    if (reason === null) {
+        return;
+    }
+
+    try {
+        const response = await adminFetch(`/api/keys/${keyId}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ reason: reason.trim() || undefined })
         });
 
         const result = await response.json();
 
         if (result.success) {
-            showAlert('listAlertContainer', 'success', 'API key deleted successfully');
+            showAlert('listAlertContainer', 'success', 'API key revoked successfully');
             loadKeys();
         } else {
-            showAlert('listAlertContainer', 'error', result.error || 'Failed to delete key');
+            showAlert('listAlertContainer', 'error', result.error || 'Failed to revoke key');
         }
     } catch (error) {
-        console.error('Delete error:', error);
-        showAlert('listAlertContainer', 'error', 'Error deleting key: ' + error.message);
+        console.error('Revoke error:', error);
+        showAlert('listAlertContainer', 'error', 'Error revoking key: ' + error.message);
     }
 }
 
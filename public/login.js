@@ -0,0 +1,88 @@
+// Only follow same-origin paths after logging in
+function getNextPath() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    if (next && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\')) {
+        return next;
+    }
+    return '/keys';
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+    try {
+        const response = await fetch('/api/admin/session', { credentials: 'same-origin' });
+        const session = await response.json();
+
+        if (session.authenticated) {
+            window.location.href = getNextPath();
+            return;
+        }
+
+        if (session.setupRequired) {
+            document.getElementById('subtitle').textContent = 'Set an admin password to finish setup';
+            document.getElementById('setupForm').classList.remove('hidden');
+            document.getElementById('setupToken').focus();
+        } else {
+            document.getElementById('loginForm').classList.remove('hidden');
+            document.getElementById('password').focus();
+        }
+    } catch (error) {
+        showAlert('error', 'Error contacting server: ' + error.message);
+    }
+
+    document.getElementById('loginForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitAdminForm('/api/admin/login', {
+            password: document.getElementById('password').value
+        });
+    });
+
+    document.getElementById('setupForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const password = document.getElementById('newPassword').value;
+
+        if (password !== document.getElementById('confirmPassword').value) {
+            showAlert('error', 'Passwords do not match');
+            return;
+        }
+
+        submitAdminForm('/api/admin/setup', {
+            bootstrapToken: document.getElementById('setupToken').value.trim(),
+            password
+        });
+    });
+});
+
+// Send login/setup credentials and continue to the requested page on success
+async function submitAdminForm(url, body) {
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            window.location.href = getNextPath();
+        } else {
+            showAlert('error', result.error || 'Login failed');
+        }
+    } catch (error) {
+        showAlert('error', 'Error logging in: ' + error.message);
+    }
+}
+
+// Show alert message
+function showAlert(type, message) {
+    const alertContainer = document.getElementById('alertContainer');
+    const alertClass = type === 'success' ? 'alert-success' : 'alert-error';
+    alertContainer.innerHTML = '';
+    const alert = document.createElement('div');
+    alert.className = `alert ${alertClass}`;
+    alert.textContent = message;
+    alertContainer.appendChild(alert);
+}
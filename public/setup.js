@@ -0,0 +1,85 @@
+let currentGeneratedKey = '';
+
+// Get server URL and setup event listeners
+window.addEventListener('DOMContentLoaded', async () => {
+    await loadAdminSession();
+
+    const serverUrl = window.location.origin;
+    document.getElementById('serverUrl').textContent = serverUrl;
+
+    // Add event listeners
+    const generateBtn = document.getElementById('generateBtn');
+    const copyBtn = document.getElementById('copyBtn');
+
+    if (generateBtn) {
+        generateBtn.addEventListener('click', generateKey);
+    }
+
+    if (copyBtn) {
+        copyBtn.addEventListener('click', copyKey);
+    }
+});
+
+// Generate API key
+async function generateKey() {
+    const deviceName = document.getElementById('deviceName').value.trim();
+
+    if (!deviceName) {
+        showAlert('error', 'Please enter a device name');
+        return;
+    }
+
+    try {
+        // The server generates the key and returns it only once
+        const response = await adminFetch('/api/setup/generate-key', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: deviceName
+            })
+        });
+
+        const result = await response.json();
+
+        if (result.success) {
+            currentGeneratedKey = result.key;
+            document.getElementById('generatedKeyValue').textContent = result.key;
+            document.getElementById('generatedKeyBox').classList.add('show');
+            document.getElementById('deviceName').value = '';
+            showAlert('success', 'API key generated successfully!');
+        } else {
+            showAlert('error', result.error || 'Failed to generate key');
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        showAlert('error', 'Error generating key: ' + error.message);
+    }
+}
+
+// Copy key to clipboard
+function copyKey() {
+    navigator.clipboard.writeText(currentGeneratedKey).then(() => {
+        showAlert('success', 'API key copied to clipboard!');
+    }).catch(err => {
+        showAlert('error', 'Failed to copy key');
+    });
+}
+
+// Show alert message
+function showAlert(type, message) {
+    const alertContainer = document.getElementById('alertContainer');
+    const alertClass = type === 'success' ? 'alert-success' : 'alert-error';
+    alertContainer.innerHTML = `<div class="alert ${alertClass}">${message}</div>`;
+    setTimeout(() => {
+        alertContainer.innerHTML = '';
+    }, 5000);
+}
+
+// Allow Enter key to generate
+document.getElementById('deviceName').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        generateKey();
+    }
+});
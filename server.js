@@ -2,53 +2,171 @@ require('dotenv').config();
 
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const rateLimit = require('express-rate-limit');
 const fs = require('fs');
 const marked = require('marked');
+const net = require('net');
+const os = require('os');
+const { execFileSync } = require('child_process');
 
 const app = express();
-const server = http.createServer(app);
 
-// Function to check if origin is allowed (local network or localhost)
-function isOriginAllowed(origin) {
-  if (!origin) return true; // Allow requests with no origin (mobile apps, Postman, etc.)
+// HTTPS is used when certificate files are configured or a self-signed certificate is requested.
+// The certificate is loaded (and generated if needed) just before the server starts listening.
+const HTTPS_CERT_CONFIGURED = !!(process.env.HTTPS_CERT_FILE && process.env.HTTPS_KEY_FILE);
+const HTTPS_ENABLED = HTTPS_CERT_CONFIGURED || process.env.HTTPS_SELF_SIGNED === 'true';
+const server = HTTPS_ENABLED ? https.createServer(app) : http.createServer(app);
+
+// Origin policy for CORS and socket.io, from ALLOWED_ORIGINS (comma-separated). Entries can be
+// full origins (https://board.example.com), hostnames (liveboard.local), wildcard hostnames
+// (*.example.com), IPv4/IPv6 addresses or CIDR ranges (192.168.0.0/16, fd00::/8), and the
+// keywords "loopback" and "local-network". Without ALLOWED_ORIGINS, local-network is used
+// (loopback only in strict mode).
+const ORIGIN_KEYWORDS = {
+  'loopback': ['localhost', '127.0.0.0/8', '::1'],
+  'local-network': ['localhost', '127.0.0.0/8', '::1', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7', 'fe80::/10', '*.local']
+};
 
-  try {
-    const url = new URL(origin);
-    const hostname = url.hostname;
+// Strict mode: only listed origins are accepted. Otherwise the PUBLIC_URL origin is also
+// accepted, e.g. behind a reverse proxy. The Host header is not trusted for this, since the
+// client sets it.
+const ORIGIN_POLICY_STRICT = process.env.ORIGIN_POLICY_STRICT === 'true';
+const MAX_BLOCKED_ORIGINS = 100;
 
-    // Allow localhost and 127.0.0.1 on any port
-    if (hostname === 'localhost' || hostname === '127.0.0.1') {
-      return true;
+// Parse one ALLOWED_ORIGINS entry into a rule, or null if it is not valid
+function parseOriginEntry(entry) {
+  if (entry.includes('://')) {
+    try {
+      const url = new URL(entry);
+      return url.origin !== 'null' && url.pathname === '/' && !url.search ? { type: 'origin', entry, origin: url.origin } : null;
+    } catch (e) {
+      return null;
     }
+  }
+
+  if (entry.startsWith('*.')) {
+    const suffix = entry.substring(1);
+    return /^(\.[a-z0-9-]+)+$/.test(suffix) ? { type: 'wildcard', entry, suffix } : null;
+  }
+
+  const cidr = parseCidr(entry);
+  if (cidr) {
+    const blockList = new net.BlockList();
+    blockList.addSubnet(cidr.address, cidr.prefix, cidr.type);
+    return { type: 'cidr', entry, blockList };
+  }
+
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(entry) ? { type: 'hostname', entry } : null;
+}
 
-    // Allow private IP ranges (192.168.x.x, 10.x.x.x, 172.16-31.x.x)
-    const ipRegex = /^(192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[01])\.)/;
-    if (ipRegex.test(hostname)) {
-      return true;
+function loadOriginPolicy() {
+  const configured = process.env.ALLOWED_ORIGINS;
+  const entries = (configured || (ORIGIN_POLICY_STRICT ? 'loopback' : 'local-network'))
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap(entry => ORIGIN_KEYWORDS[entry] || [entry]);
+
+  const rules = [];
+  [...new Set(entries)].forEach(entry => {
+    const rule = parseOriginEntry(entry);
+    if (rule) {
+      rules.push(rule);
+    } else {
+      console.error(`Ignoring invalid ALLOWED_ORIGINS entry: ${entry}`);
     }
+  });
 
-    return false;
+  return { source: configured ? 'ALLOWED_ORIGINS' : 'default', strict: ORIGIN_POLICY_STRICT, rules };
+}
+
+const originPolicy = loadOriginPolicy();
+
+// Decide whether an origin may use the API and socket.io. Returns { allowed, rule }, where
+// rule names the entry that matched (or why nothing did).
+function checkOrigin(origin) {
+  if (!origin) {
+    return { allowed: true, rule: 'no-origin' }; // Requests with no origin (mobile apps, Postman, etc.)
+  }
+
+  let url;
+  try {
+    url = new URL(origin);
   } catch (e) {
-    return false;
+    return { allowed: false, rule: 'invalid-origin' };
+  }
+  if (url.origin === 'null') {
+    return { allowed: false, rule: 'invalid-origin' };
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, ''); // IPv6 hosts come in brackets
+  const ipType = net.isIPv4(hostname) ? 'ipv4' : (net.isIPv6(hostname) ? 'ipv6' : null);
+
+  const match = originPolicy.rules.find(rule => {
+    switch (rule.type) {
+      case 'origin':
+        return rule.origin === url.origin;
+      case 'wildcard':
+        return !ipType && hostname.endsWith(rule.suffix);
+      case 'cidr':
+        return !!ipType && rule.blockList.check(hostname, ipType);
+      default:
+        return hostname === rule.entry;
+    }
+  });
+  if (match) {
+    return { allowed: true, rule: match.entry };
+  }
+
+  if (!originPolicy.strict && PUBLIC_URL && url.origin === PUBLIC_URL.origin) {
+    return { allowed: true, rule: 'public-url' };
+  }
+
+  return { allowed: false, rule: originPolicy.strict ? 'strict' : 'not-listed' };
+}
+
+// Blocked origins, for GET /api/admin/origins
+const blockedOrigins = new Map(); // origin -> { origin, count, transports, reason, firstSeenAt, lastSeenAt, lastPath }
+
+function recordBlockedOrigin(origin, transport, requestPath, reason) {
+  const now = new Date().toISOString();
+  let entry = blockedOrigins.get(origin);
+
+  if (!entry) {
+    if (blockedOrigins.size >= MAX_BLOCKED_ORIGINS) {
+      const oldest = [...blockedOrigins.values()].sort((a, b) => a.lastSeenAt.localeCompare(b.lastSeenAt))[0];
+      blockedOrigins.delete(oldest.origin);
+    }
+    entry = { origin, count: 0, transports: {}, reason, firstSeenAt: now, lastSeenAt: now, lastPath: null };
+    blockedOrigins.set(origin, entry);
   }
+
+  entry.count++;
+  entry.transports[transport] = (entry.transports[transport] || 0) + 1;
+  entry.reason = reason;
+  entry.lastSeenAt = now;
+  entry.lastPath = requestPath ? requestPath.split('?')[0].substring(0, 200) : null;
 }
 
+// The origin is checked in allowRequest, which (unlike the cors option) can see the Host header
 const io = socketIo(server, {
   cors: {
-    origin: (origin, callback) => {
-      if (isOriginAllowed(origin)) {
-        callback(null, true);
-      } else {
-        console.warn(`Blocked WebSocket connection from: ${origin}`);
-        callback(new Error('Not allowed by CORS'));
-      }
-    },
+    origin: true,
     methods: ["GET", "POST"],
     credentials: true
+  },
+  allowRequest: (req, callback) => {
+    const origin = req.headers.origin;
+    const { allowed, rule } = checkOrigin(origin);
+    if (!allowed) {
+      console.warn(`Blocked WebSocket connection from: ${origin}`);
+      recordBlockedOrigin(String(origin).substring(0, 200), 'websocket', req.url, rule);
+    }
+    callback(allowed ? null : 'Origin not allowed', allowed);
   }
 });
 
@@ -58,12 +176,45 @@ const crypto = require('crypto');
 // API Keys storage file
 const API_KEYS_FILE = path.join(__dirname, 'api-keys.json');
 
-// Load API keys from JSON file
+// Data directory for persisted state (configurable with DATA_DIR)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const STATE_FILE = path.join(DATA_DIR, 'state.json');
+
+// Write a JSON file atomically (write to a temp file, then rename over the target)
+function writeJsonFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+// Read a JSON file, returning null if it is missing or unreadable
+function readJsonFile(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error reading ${filePath}:`, error.message);
+  }
+  return null;
+}
+
+// Last read contents of the API keys file. It is read again when the file changes, so hand
+// edits still apply, but lookups for open connections do not hit the disk every time.
+let apiKeysFileCache = null;  // { mtimeMs, size, text }
+let apiKeysVersion = 0;  // Bumped whenever the stored keys may have changed
+
+// Load API keys from JSON file. Callers get their own copy and may modify it before saving.
 function loadApiKeys() {
   try {
     if (fs.existsSync(API_KEYS_FILE)) {
-      const data = fs.readFileSync(API_KEYS_FILE, 'utf8');
-      return JSON.parse(data);
+      const stats = fs.statSync(API_KEYS_FILE);
+      if (!apiKeysFileCache || apiKeysFileCache.mtimeMs !== stats.mtimeMs || apiKeysFileCache.size !== stats.size) {
+        apiKeysFileCache = { mtimeMs: stats.mtimeMs, size: stats.size, text: fs.readFileSync(API_KEYS_FILE, 'utf8') };
+        apiKeysVersion++;
+      }
+      return JSON.parse(apiKeysFileCache.text);
     }
   } catch (error) {
     console.error('Error loading API keys file:', error.message);
@@ -74,7 +225,9 @@ function loadApiKeys() {
 // Save API keys to JSON file
 function saveApiKeys(keys) {
   try {
-    fs.writeFileSync(API_KEYS_FILE, JSON.stringify(keys, null, 2), 'utf8');
+    writeJsonFileAtomic(API_KEYS_FILE, keys);
+    apiKeysFileCache = null;
+    apiKeysVersion++;
     return true;
   } catch (error) {
     console.error('Error saving API keys file:', error.message);
@@ -82,987 +235,5932 @@ function saveApiKeys(keys) {
   }
 }
 
-// Get all valid API keys (from both .env and JSON file)
-function getAllApiKeys() {
-  // Load from .env
-  const envKeys = (process.env.API_KEYS || '')
+// Permissions a key can carry. "admin" implies every other scope.
+const API_KEY_SCOPES = ['playback', 'queue:add', 'queue:manage', 'volume', 'state:read', 'schedule', 'admin'];
+
+// Scopes given to new keys when none are requested: everything except admin
+const DEFAULT_API_KEY_SCOPES = API_KEY_SCOPES.filter(scope => scope !== 'admin');
+
+// Validate a requested scope list; returns { scopes } or { error }
+function parseScopes(input) {
+  if (input === undefined) {
+    return { scopes: [...DEFAULT_API_KEY_SCOPES] };
+  }
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+  const unknown = input.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}` };
+  }
+  return { scopes: [...new Set(input)] };
+}
+
+// Rate limits for keys without their own (set per key through the admin API)
+const DEFAULT_KEY_RATE_LIMITS = {
+  requestsPerMinute: parseInt(process.env.KEY_REQUESTS_PER_MINUTE, 10) || 60,
+  queueAdditionsPerHour: parseInt(process.env.KEY_QUEUE_ADDITIONS_PER_HOUR, 10) || 100
+};
+
+function getKeyRateLimits(keyRecord) {
+  return { ...DEFAULT_KEY_RATE_LIMITS, ...(keyRecord && keyRecord.rateLimits) };
+}
+
+// Validate per-key limit overrides; null resets a limit to the default. Returns { rateLimits } or { error }
+function parseRateLimits(input, current = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'rateLimits must be an object with requestsPerMinute and/or queueAdditionsPerHour' };
+  }
+
+  const rateLimits = { ...current };
+  for (const [name, value] of Object.entries(input)) {
+    if (!(name in DEFAULT_KEY_RATE_LIMITS)) {
+      return { error: `Unknown rate limit: ${name}` };
+    }
+    if (value === null) {
+      delete rateLimits[name];
+    } else if (Number.isInteger(value) && value > 0 && value <= 100000) {
+      rateLimits[name] = value;
+    } else {
+      return { error: `${name} must be a whole number between 1 and 100000, or null for the default` };
+    }
+  }
+  return { rateLimits };
+}
+
+function keyHasScope(keyRecord, scope) {
+  return !!keyRecord && (keyRecord.scopes.includes(scope) || keyRecord.scopes.includes('admin'));
+}
+
+// Scope needed for each socket command; anything not listed needs "playback"
+const SOCKET_COMMAND_SCOPES = {
+  play: 'queue:add',
+  volume: 'volume'
+};
+
+// Get the API keys configured in .env
+function getEnvApiKeys() {
+  return (process.env.API_KEYS || '')
     .split(',')
     .map(key => key.trim())
     .filter(key => key.length > 0);
+}
 
-  // Load from JSON file
-  const fileKeys = loadApiKeys().map(k => k.key);
+// Generate a new API key: "lb_" + 8-character public prefix + "_" + 64-character secret
+function generateApiKey() {
+  return `lb_${crypto.randomBytes(4).toString('hex')}_${crypto.randomBytes(32).toString('hex')}`;
+}
 
-  // Combine and deduplicate
-  return [...new Set([...envKeys, ...fileKeys])];
+// Public prefix used to identify a key in lists and logs without revealing it.
+// Keys from before the lb_ format use their first 8 characters.
+function getKeyPrefix(key) {
+  const match = /^(lb_[0-9a-f]{8})_/.exec(key);
+  return match ? match[1] : key.substring(0, 8);
 }
 
-// Load API keys
-let API_KEYS = getAllApiKeys();
+function hashApiKey(key, salt) {
+  return crypto.createHmac('sha256', salt).update(key).digest('hex');
+}
 
-// Validate API keys on startup
-if (API_KEYS.length === 0 || API_KEYS.includes('your-secret-api-key-change-this-in-production')) {
-  console.warn('⚠️  WARNING: Using default or no API keys! Please set secure API_KEYS in .env file');
-  console.warn('⚠️  Generate secure keys with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+// Build the stored record for a key; only the salted hash of the secret is kept
+function createApiKeyRecord(name, key, scopes, createdAt = new Date().toISOString()) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    name,
+    prefix: getKeyPrefix(key),
+    salt,
+    hash: hashApiKey(key, salt),
+    scopes,
+    createdAt,
+    expiresAt: null
+  };
 }
 
-// Generate a new API key
-function generateApiKey() {
-  return crypto.randomBytes(32).toString('hex');
+// Key details that are safe to return from the API
+function describeApiKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    scopes: record.scopes,
+    status: getKeyStatus(record),
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt || null,
+    revokedAt: record.revokedAt || null,
+    revocationReason: record.revocationReason || null,
+    rotatedTo: record.rotatedTo || null,
+    replaces: record.replaces || null,
+    rateLimits: getKeyRateLimits(record),
+    usage: getKeyUsage(record.id)
+  };
 }
 
-// Authentication middleware
-function requireApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'];
+// Per-key usage (last use, last IP/user agent, request counters), kept in memory and
+// written to key-usage.json periodically rather than on every request
+const KEY_USAGE_FILE = path.join(DATA_DIR, 'key-usage.json');
+const KEY_USAGE_FLUSH_DELAY = 30 * 1000;
+const MAX_USAGE_COMMANDS = 100; // Distinct counters per key; further commands are counted as "other"
+let keyUsage = {};
+let keyUsageTimer = null;
 
-  if (!apiKey) {
-    console.warn(`[AUTH] Missing API key from IP: ${req.ip}`);
+function getKeyUsage(keyId) {
+  return keyUsage[keyId] || null;
+}
 
-    // Emit failed authentication event
-    io.emit('auth-attempt', {
-      success: false,
-      reason: 'Missing API key',
-      ip: req.ip,
-      timestamp: new Date().toISOString()
-    });
+// Record one authenticated request or socket command for a key
+function recordKeyUsage(keyRecord, { ip, userAgent, command }) {
+  if (!keyRecord || !keyRecord.id) return;
 
-    return res.status(401).json({
-      success: false,
-      error: 'API key required. Include X-API-Key header in your request.'
-    });
+  const usage = keyUsage[keyRecord.id] || (keyUsage[keyRecord.id] = {
+    firstUsedAt: new Date().toISOString(),
+    requestCount: 0,
+    commands: {}
+  });
+  usage.lastUsedAt = new Date().toISOString();
+  usage.lastIp = ip || null;
+  usage.lastUserAgent = userAgent ? String(userAgent).substring(0, 200) : null;
+  usage.requestCount++;
+
+  const counter = usage.commands[command] !== undefined || Object.keys(usage.commands).length < MAX_USAGE_COMMANDS
+    ? command
+    : 'other';
+  usage.commands[counter] = (usage.commands[counter] || 0) + 1;
+
+  if (!keyUsageTimer) {
+    keyUsageTimer = setTimeout(flushKeyUsage, KEY_USAGE_FLUSH_DELAY);
   }
+}
 
-  // Dynamically reload keys to include newly added ones
-  const allKeyObjects = loadApiKeys();
-  const currentKeys = getAllApiKeys();
+function flushKeyUsage() {
+  clearTimeout(keyUsageTimer);
+  keyUsageTimer = null;
 
-  if (!currentKeys.includes(apiKey)) {
-    console.warn(`[AUTH] Invalid API key attempt from IP: ${req.ip}`);
+  try {
+    writeJsonFileAtomic(KEY_USAGE_FILE, keyUsage);
+  } catch (error) {
+    console.error('Error saving key usage file:', error.message);
+  }
+}
 
-    // Emit failed authentication event
-    io.emit('auth-attempt', {
-      success: false,
-      reason: 'Invalid API key',
-      ip: req.ip,
-      timestamp: new Date().toISOString()
-    });
+function restoreKeyUsage() {
+  const saved = readJsonFile(KEY_USAGE_FILE);
+  if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+    keyUsage = saved;
+  }
+}
 
-    return res.status(401).json({
-      success: false,
-      error: 'Invalid API key'
-    });
+// Audit log: one JSON object per line in DATA_DIR/audit.log, rotated by size
+// (audit.log.1 is the newest rotated file)
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.log');
+const AUDIT_LOG_MAX_BYTES = (parseFloat(process.env.AUDIT_LOG_MAX_MB) || 5) * 1024 * 1024;
+const AUDIT_LOG_MAX_FILES = parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 5;
+const MAX_AUDIT_QUERY_LIMIT = 1000;
+let auditLogSize = null;
+
+// Who made a REST request: the API key, the admin session, or nobody
+function getRequestActor(req) {
+  if (req.apiKey) {
+    return { type: 'key', id: req.apiKey.id, name: req.apiKey.name, prefix: req.apiKey.prefix };
   }
+  if (req.adminSession) {
+    return { type: 'admin', id: 'admin', name: 'Admin' };
+  }
+  return { type: 'anonymous', id: null, name: null };
+}
 
-  // Find the device name for this API key
-  const keyObject = allKeyObjects.find(k => k.key === apiKey);
-  const deviceName = keyObject ? keyObject.name : 'Unknown Device';
+function rotateAuditLog() {
+  for (let i = AUDIT_LOG_MAX_FILES; i >= 1; i--) {
+    const source = i === 1 ? AUDIT_LOG_FILE : `${AUDIT_LOG_FILE}.${i - 1}`;
+    if (fs.existsSync(source)) {
+      fs.renameSync(source, `${AUDIT_LOG_FILE}.${i}`);
+    }
+  }
+  auditLogSize = 0;
+}
 
-  console.log(`[AUTH] Authenticated request from IP: ${req.ip}, Device: ${deviceName}`);
+// Append an entry to the audit log. result is success, denied (auth, scope or rate limit) or failure.
+function recordAudit({ action, actor, ip, target = null, result = 'success', details = {} }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    actor: actor || { type: 'anonymous', id: null, name: null },
+    ip: ip || null,
+    target,
+    result,
+    details
+  };
+  const line = JSON.stringify(entry) + '\n';
 
-  // Emit successful authentication event
-  io.emit('auth-attempt', {
-    success: true,
-    deviceName: deviceName,
-    ip: req.ip,
-    timestamp: new Date().toISOString()
-  });
+  try {
+    if (auditLogSize === null) {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      auditLogSize = fs.existsSync(AUDIT_LOG_FILE) ? fs.statSync(AUDIT_LOG_FILE).size : 0;
+    }
+    if (auditLogSize > 0 && auditLogSize + Buffer.byteLength(line) > AUDIT_LOG_MAX_BYTES) {
+      rotateAuditLog();
+    }
+    fs.appendFileSync(AUDIT_LOG_FILE, line, 'utf8');
+    auditLogSize += Buffer.byteLength(line);
+  } catch (error) {
+    console.error('Error writing audit log:', error.message);
+  }
+}
 
-  // Update API client activity
-  updateApiActivity();
+// Middleware for /api: records every state-changing request, and any other request a handler
+// labelled with req.audit = { action, target, details }, once the response is sent.
+// Routes use skipAudit for requests that are not worth recording.
+function auditRequests(req, res, next) {
+  res.on('finish', () => {
+    if (req.audit === false || (!req.audit && ['GET', 'HEAD', 'OPTIONS'].includes(req.method))) {
+      return;
+    }
+
+    const audit = req.audit || {};
+    const status = res.statusCode;
+    recordAudit({
+      action: audit.action || 'command',
+      actor: getRequestActor(req),
+      ip: req.ip,
+      target: audit.target !== undefined
+        ? audit.target
+        : (req.body && typeof req.body.target === 'string' ? req.body.target : Object.values(req.params)[0] || null),
+      result: status < 400 ? 'success' : ([401, 403, 429].includes(status) ? 'denied' : 'failure'),
+      details: {
+        command: `${req.method} ${req.route ? req.route.path : req.originalUrl.split('?')[0]}`,
+        status,
+        ...audit.details
+      }
+    });
+  });
+  next();
+}
 
+function skipAudit(req, res, next) {
+  req.audit = false;
   next();
 }
 
-// URL validation function
-function isValidYouTubeUrl(url) {
-  if (typeof url !== 'string' || url.length > 500) {
-    return false;
+// Read audit entries newest first, stopping once limit entries match
+function queryAuditLog({ from, to, actor, actions, result, limit }) {
+  const entries = [];
+  const files = [AUDIT_LOG_FILE];
+  for (let i = 1; i <= AUDIT_LOG_MAX_FILES; i++) {
+    files.push(`${AUDIT_LOG_FILE}.${i}`);
   }
 
-  const validPatterns = [
-    /^https?:\/\/(www\.)?youtube\.com\/watch\?v=[a-zA-Z0-9_-]{11}(&.*)?$/,
-    /^https?:\/\/youtu\.be\/[a-zA-Z0-9_-]{11}$/,
-    /^https?:\/\/(www\.)?youtube\.com\/embed\/[a-zA-Z0-9_-]{11}$/,
-    /^[a-zA-Z0-9_-]{11}$/
-  ];
+  const matchesAction = action => !actions || actions.some(pattern =>
+    pattern.endsWith('*') ? action.startsWith(pattern.slice(0, -1)) : action === pattern
+  );
+  const matchesActor = entryActor => !actor || [entryActor.type, entryActor.id, entryActor.prefix, entryActor.name]
+    .some(value => typeof value === 'string' && value.toLowerCase() === actor.toLowerCase());
 
-  return validPatterns.some(pattern => pattern.test(url));
-}
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
 
-// Middleware
-app.use(cors({
-  origin: (origin, callback) => {
-    if (isOriginAllowed(origin)) {
-      callback(null, true);
-    } else {
-      console.warn(`Blocked CORS request from: ${origin}`);
-      callback(new Error('Not allowed by CORS'));
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n');
+    } catch (error) {
+      console.error(`Error reading ${file}:`, error.message);
+      continue;
     }
-  },
-  credentials: true
-}));
-
-app.use(express.json({ limit: '10kb' }));
-app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
-// Security headers
-app.use((req, res, next) => {
-  // Content Security Policy
-  res.setHeader(
-    'Content-Security-Policy',
-    [
-      "default-src 'self'",
-      "script-src 'self' 'unsafe-eval' https://www.youtube.com https://cdn.socket.io https://cdn.jsdelivr.net",
-      "frame-src 'self' https://www.youtube.com",
-      "connect-src 'self' ws://localhost:1212 wss://localhost:1212 https://www.youtube.com https://i.ytimg.com",
-      "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
-      "img-src 'self' https: data:",
-      "font-src 'self' data:",
-      "object-src 'none'",
-      "base-uri 'self'",
-      "form-action 'self'"
-    ].join('; ')
-  );
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (!lines[i]) continue;
 
-  // Additional security headers
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+      let entry;
+      try {
+        entry = JSON.parse(lines[i]);
+      } catch (error) {
+        continue; // Skip a partially written line
+      }
 
-  next();
-});
+      const time = Date.parse(entry.timestamp);
+      if (to && time > to) continue;
+      if (from && time < from) return entries; // Everything further back is older
+      if (!matchesAction(entry.action) || !matchesActor(entry.actor || {}) || (result && entry.result !== result)) continue;
 
-// Disable caching for static files
-app.use(express.static('public', {
-  setHeaders: (res, path) => {
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+      entries.push(entry);
+      if (entries.length >= limit) return entries;
+    }
   }
-}));
 
-// Rate limiting for API endpoints
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many requests, please try again later'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+  return entries;
+}
 
-const playLimiter = rateLimit({
-  windowMs: 1 * 60 * 1000, // 1 minute
-  max: 30, // 30 video requests per minute per IP
-  message: {
-    success: false,
-    error: 'Too many video requests, please slow down'
+// IP access lists: CIDR allowlist and denylist, stored in DATA_DIR/access-lists.json.
+// Denied IPs are refused everywhere; a non-empty allowlist refuses every IP not on it.
+const ACCESS_LISTS_FILE = path.join(DATA_DIR, 'access-lists.json');
+const MAX_ACCESS_LIST_ENTRIES = 100;
+let accessLists = { allowlist: [], denylist: [] };
+let allowBlockList = null;
+let denyBlockList = null;
+
+// IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+function normalizeIp(ip) {
+  return typeof ip === 'string' && ip.startsWith('::ffff:') && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+}
+
+// Parse "10.0.0.0/8", "fd00::/8" or a bare address into { address, prefix, type }, or null
+function parseCidr(entry) {
+  if (typeof entry !== 'string') return null;
+
+  const [address, prefixText, ...rest] = entry.trim().split('/');
+  const type = net.isIPv4(address) ? 'ipv4' : (net.isIPv6(address) ? 'ipv6' : null);
+  const maxPrefix = type === 'ipv4' ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+
+  if (!type || rest.length > 0 || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
   }
-});
+  return { address, prefix, type };
+}
 
-// Apply rate limiting to API routes
-app.use('/api/', apiLimiter);
+function buildBlockList(entries) {
+  const blockList = new net.BlockList();
+  entries.forEach(entry => {
+    const { address, prefix, type } = parseCidr(entry);
+    blockList.addSubnet(address, prefix, type);
+  });
+  return blockList;
+}
 
-// Store connected clients with their info
-let connectedClients = [];
-let connectedClientsCount = 0;
+function ipMatches(blockList, ip) {
+  const address = normalizeIp(ip);
+  const type = net.isIPv4(address) ? 'ipv4' : (net.isIPv6(address) ? 'ipv6' : null);
+  return !!type && blockList.check(address, type);
+}
 
-// Helper function to get only external clients (excluding dashboards)
-function getExternalClients() {
-  return connectedClients.filter(c => c.type === 'external');
+function applyAccessLists(lists) {
+  accessLists = lists;
+  allowBlockList = buildBlockList(lists.allowlist);
+  denyBlockList = buildBlockList(lists.denylist);
 }
 
-// Track API client activity
-let lastApiActivity = null;
-let apiClientActive = false;
-const API_TIMEOUT = 60000; // 60 seconds
+// Validate { allowlist, denylist } from the admin API, returning { lists } or { error }
+function parseAccessLists(input) {
+  if (!input || typeof input !== 'object' || (input.allowlist === undefined && input.denylist === undefined)) {
+    return { error: 'allowlist and/or denylist is required' };
+  }
 
-// Track dashboard state
-let dashboardState = {
-  volume: 100,  // Default volume
-  playbackStatus: 'stopped',  // playing, paused, stopped
-  currentVideoTitle: 'No video loaded'  // Current video title
-};
+  const lists = { ...accessLists };
+  for (const field of ['allowlist', 'denylist']) {
+    if (input[field] === undefined) continue;
 
-// Function to update API client activity
-function updateApiActivity() {
-  lastApiActivity = Date.now();
-  if (!apiClientActive) {
-    apiClientActive = true;
-    io.emit('api-client-status', { active: true });
-    console.log('API client is now active');
+    const entries = input[field];
+    if (!Array.isArray(entries) || entries.length > MAX_ACCESS_LIST_ENTRIES) {
+      return { error: `${field} must be an array of up to ${MAX_ACCESS_LIST_ENTRIES} CIDR ranges` };
+    }
+    const invalid = entries.find(entry => !parseCidr(entry));
+    if (invalid !== undefined) {
+      return { error: `Invalid CIDR range in ${field}: ${invalid}` };
+    }
+    lists[field] = [...new Set(entries.map(entry => entry.trim()))];
   }
+  return { lists };
 }
 
-// Check for API client inactivity
-setInterval(() => {
-  if (apiClientActive && lastApiActivity) {
-    const timeSinceLastActivity = Date.now() - lastApiActivity;
-    if (timeSinceLastActivity > API_TIMEOUT) {
-      apiClientActive = false;
-      io.emit('api-client-status', { active: false });
-      console.log('API client became inactive');
-    }
+// Whether an IP may connect at all, and if not, why
+function checkIpAccess(ip) {
+  if (denyBlockList && ipMatches(denyBlockList, ip)) {
+    return { allowed: false, reason: 'IP address is on the denylist' };
   }
-}, 10000); // Check every 10 seconds
+  if (accessLists.allowlist.length > 0 && !ipMatches(allowBlockList, ip)) {
+    return { allowed: false, reason: 'IP address is not on the allowlist' };
+  }
+  return { allowed: true };
+}
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  connectedClientsCount++;
+function restoreAccessLists() {
+  const saved = readJsonFile(ACCESS_LISTS_FILE);
+  if (!saved) return;
 
-  // Add client to the list with unknown name initially
-  const clientInfo = {
-    id: socket.id,
-    name: 'Unknown Device',
-    type: 'external', // 'dashboard' or 'external'
-    ipAddress: socket.handshake.address,
-    connectedAt: new Date().toISOString()
-  };
-  connectedClients.push(clientInfo);
+  const { lists, error } = parseAccessLists(saved);
+  if (error) {
+    console.error(`Ignoring ${ACCESS_LISTS_FILE}: ${error}`);
+    return;
+  }
+  applyAccessLists(lists);
+  console.log(`Restored IP access lists (${lists.allowlist.length} allowed, ${lists.denylist.length} denied ranges)`);
+}
 
-  console.log(`New client connected from ${socket.handshake.address}. ID: ${socket.id}. Total clients: ${connectedClientsCount}`);
+// Brute-force protection: an IP that presents too many invalid API keys is locked out of
+// key authentication (REST and sockets). Each further lockout doubles, up to a maximum.
+const AUTH_FAILURE_THRESHOLD = parseInt(process.env.AUTH_FAILURE_THRESHOLD, 10) || 5;
+const AUTH_FAILURE_WINDOW = 15 * 60 * 1000; // Failures older than this are forgotten
+const AUTH_LOCKOUT_BASE = (parseInt(process.env.AUTH_LOCKOUT_SECONDS, 10) || 60) * 1000;
+const AUTH_LOCKOUT_MAX = (parseInt(process.env.AUTH_LOCKOUT_MAX_SECONDS, 10) || 60 * 60) * 1000;
+const AUTH_LOCKOUT_RESET = 24 * 60 * 60 * 1000; // Back-off starts over after a day without failures
+const authFailures = new Map(); // ip -> { failures, lockouts, lockedUntil, firstFailureAt, lastFailureAt }
+
+function pruneAuthFailures() {
+  const now = Date.now();
+  authFailures.forEach((entry, ip) => {
+    if (entry.lockedUntil <= now && now - entry.lastFailureAt > AUTH_LOCKOUT_RESET) {
+      authFailures.delete(ip);
+    }
+  });
+}
 
-  // Send current API client status to newly connected client
-  socket.emit('api-client-status', { active: apiClientActive });
+// The time an IP is locked out until, or null
+function getLockout(ip) {
+  const entry = authFailures.get(normalizeIp(ip));
+  return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil : null;
+}
 
-  // Send current connected clients list to all clients (filtered to external only)
-  io.emit('connected-clients', { clients: getExternalClients() });
+// Count an invalid key from an IP, locking it out once it reaches the threshold
+function recordAuthFailure(ip, reason) {
+  pruneAuthFailures();
+  const address = normalizeIp(ip);
+  const now = Date.now();
+  const entry = authFailures.get(address) || { failures: 0, lockouts: 0, lockedUntil: 0, firstFailureAt: now, lastFailureAt: now };
 
-  // Handle control discovery messages
-  socket.on('message', (data) => {
-    try {
-      const message = JSON.parse(data);
+  if (now - entry.firstFailureAt > AUTH_FAILURE_WINDOW) {
+    entry.failures = 0;
+    entry.firstFailureAt = now;
+  }
+  entry.failures++;
+  entry.lastFailureAt = now;
+  authFailures.set(address, entry);
+
+  if (entry.failures >= AUTH_FAILURE_THRESHOLD) {
+    const duration = Math.min(AUTH_LOCKOUT_BASE * 2 ** entry.lockouts, AUTH_LOCKOUT_MAX);
+    entry.lockouts++;
+    entry.lockedUntil = now + duration;
+    entry.failures = 0;
+
+    console.warn(`[AUTH] Locked out IP ${address} for ${duration / 1000}s after ${AUTH_FAILURE_THRESHOLD} invalid API keys (lockout #${entry.lockouts})`);
+    recordAudit({
+      action: 'security.lockout',
+      ip: address,
+      target: address,
+      details: { reason, lockouts: entry.lockouts, lockedUntil: new Date(entry.lockedUntil).toISOString() }
+    });
+  }
+}
 
-      if (message.type === 'get_controls') {
-        console.log('Control discovery request received');
+// A valid key clears the failure count, but not the back-off
+function clearAuthFailures(ip) {
+  const entry = authFailures.get(normalizeIp(ip));
+  if (entry) {
+    entry.failures = 0;
+  }
+}
 
-        // Update API client activity
-        updateApiActivity();
+function describeLockout(ip, entry) {
+  return {
+    ip,
+    locked: entry.lockedUntil > Date.now(),
+    lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil).toISOString() : null,
+    lockouts: entry.lockouts,
+    recentFailures: entry.failures,
+    lastFailureAt: new Date(entry.lastFailureAt).toISOString()
+  };
+}
 
-        // Send control definitions with current state
-        const controlsResponse = {
-          type: 'controls',
-          playbackStatus: dashboardState.playbackStatus,
-          currentVideoTitle: dashboardState.currentVideoTitle,
-          controls: [
-            {
-              id: 'play-now',
-              name: 'Play Now',
-              type: 'text',
-              command: 'play-now',
-              placeholder: 'Enter YouTube URL',
-              description: 'Play a YouTube video immediately'
-            },
-            {
-              id: 'play',
-              name: 'Add to Playlist',
-              type: 'text',
-              command: 'play',
-              placeholder: 'Enter YouTube URL',
-              description: 'Add a YouTube video to the playlist'
-            },
-            {
-              id: 'volume',
-              name: 'Volume',
-              type: 'slider',
-              command: 'volume',
-              min: 0,
-              max: 100,
-              value: dashboardState.volume,
-              description: 'Adjust volume (0-100)'
-            },
-            {
-              id: 'previous',
-              name: 'Previous',
-              type: 'button',
-              command: 'previous',
-              description: 'Play previous video in playlist'
-            },
-            {
-              id: 'play-pause',
-              name: 'Play/Pause',
-              type: 'button',
-              command: 'play-pause',
-              description: 'Toggle play/pause'
-            },
-            {
-              id: 'next',
-              name: 'Next',
-              type: 'button',
-              command: 'next',
-              description: 'Play next video in playlist'
-            },
-            {
-              id: 'stop',
-              name: 'Stop',
-              type: 'button',
-              command: 'stop',
-              description: 'Stop video and clear player'
-            },
-            {
-              id: 'mute',
-              name: 'Mute/Unmute',
-              type: 'button',
-              command: 'mute',
-              description: 'Toggle mute'
-            },
-            {
-              id: 'seek-back',
-              name: 'Seek Back 10s',
-              type: 'button',
-              command: 'seek-back',
-              description: 'Seek backward 10 seconds'
-            },
-            {
-              id: 'seek-forward',
-              name: 'Seek Forward 10s',
-              type: 'button',
-              command: 'seek-forward',
-              description: 'Seek forward 10 seconds'
-            },
-            {
-              id: 'theater',
-              name: 'Theater mode / Default view',
-              type: 'button',
-              command: 'theater',
-              description: 'Toggle theater mode / default view'
-            },
-            {
-              id: 'fullscreen',
-              name: 'Toggle Fullscreen',
-              type: 'button',
-              command: 'fullscreen',
-              description: 'Toggle fullscreen mode'
-            }
-          ]
-        };
+// How long a rotated key keeps working after its successor is issued
+const API_KEY_ROTATION_GRACE_HOURS = parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
 
-        socket.emit('message', JSON.stringify(controlsResponse));
-        console.log('Control definitions sent');
-      }
+// Current state of a stored key: active, expired or revoked
+function getKeyStatus(record) {
+  if (record.revokedAt) {
+    return 'revoked';
+  }
+  if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+    return 'expired';
+  }
+  return 'active';
+}
 
-      // Handle device identification
-      if (message.type === 'identify') {
-        const deviceName = message.name || 'Unknown Device';
-        const client = connectedClients.find(c => c.id === socket.id);
-        if (client) {
-          client.name = deviceName;
-          // Determine client type based on name
-          client.type = deviceName.startsWith('Dashboard') ? 'dashboard' : 'external';
-          console.log(`Client ${socket.id} identified as: ${deviceName} (${client.type})`);
+// Validate an optional expiry; returns { expiresAt } (ISO string or null) or { error }
+function parseExpiry(input) {
+  if (input === undefined || input === null || input === '') {
+    return { expiresAt: null };
+  }
 
-          // Broadcast updated client list to all clients (filtered to external only)
-          io.emit('connected-clients', { clients: getExternalClients() });
+  const time = typeof input === 'string' ? new Date(input).getTime() : NaN;
+  if (isNaN(time)) {
+    return { error: 'expiresAt must be an ISO 8601 date' };
+  }
+  if (time <= Date.now()) {
+    return { error: 'expiresAt must be in the future' };
+  }
+  return { expiresAt: new Date(time).toISOString() };
+}
 
-          // Notify all OTHER clients about the new connection (only if external)
-          if (client.type === 'external') {
-            socket.broadcast.emit('client-connected', {
-              deviceName: deviceName,
-              id: socket.id,
-              connectedAt: client.connectedAt
-            });
-          }
-        }
-      }
+// Issue a successor for a key. The old key keeps working for the grace period, then expires.
+function rotateApiKey(fileKeys, record, graceHours, expiresAt) {
+  const newKey = generateApiKey();
+  const successor = {
+    ...createApiKeyRecord(record.name, newKey, record.scopes),
+    ...(record.rateLimits ? { rateLimits: { ...record.rateLimits } } : {}),
+    expiresAt,
+    replaces: record.id
+  };
 
-      // Handle volume updates from dashboard
-      if (message.type === 'volume_update') {
-        if (typeof message.value === 'number' && message.value >= 0 && message.value <= 100) {
-          dashboardState.volume = message.value;
-          console.log('Dashboard volume updated to:', message.value);
+  const graceEnd = Date.now() + graceHours * 60 * 60 * 1000;
+  if (!record.expiresAt || new Date(record.expiresAt).getTime() > graceEnd) {
+    record.expiresAt = new Date(graceEnd).toISOString();
+  }
+  record.rotatedTo = successor.id;
 
-          // Broadcast volume change to all connected clients
-          io.emit('state-volume-changed', {
-            volume: message.value,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
+  fileKeys.push(successor);
+  return { newKey, successor };
+}
 
-      // Handle playback status updates from dashboard
-      if (message.type === 'status_update') {
-        const validStatuses = ['playing', 'paused', 'stopped'];
-        if (validStatuses.includes(message.status)) {
-          dashboardState.playbackStatus = message.status;
-          console.log('Dashboard playback status updated to:', message.status);
+// Shared handler for the key rotation endpoints
+function handleKeyRotation(req, res) {
+  const keyId = req.params.keyId || req.params.id;
+  req.audit = { action: 'key.rotated', target: keyId };
+  const graceHours = req.body.gracePeriodHours === undefined ? API_KEY_ROTATION_GRACE_HOURS : req.body.gracePeriodHours;
 
-          // Broadcast playback status change to all connected clients
-          io.emit('state-playback-changed', {
-            status: message.status,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
+  if (typeof graceHours !== 'number' || !isFinite(graceHours) || graceHours < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'gracePeriodHours must be a number of hours (0 or more)'
+    });
+  }
 
-      // Handle video title updates from dashboard
-      if (message.type === 'title_update') {
-        if (typeof message.title === 'string') {
-          dashboardState.currentVideoTitle = message.title;
-          console.log('Dashboard video title updated to:', message.title);
+  const { expiresAt, error } = parseExpiry(req.body.expiresAt);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
 
-          // Broadcast title change to all connected clients
-          io.emit('state-title-changed', {
-            title: message.title,
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
+  const fileKeys = loadApiKeys();
+  const record = fileKeys.find(k => k.id === keyId);
 
-      // Handle control commands
-      if (message.type === 'command') {
-        console.log(`Command received: ${message.command}`, message.value);
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
 
-        // Update API client activity
-        updateApiActivity();
+  if (getKeyStatus(record) !== 'active') {
+    return res.status(409).json({
+      success: false,
+      error: `Cannot rotate a key that is ${getKeyStatus(record)}`
+    });
+  }
 
-        switch (message.command) {
-          case 'play-now':
-            if (message.value && isValidYouTubeUrl(message.value)) {
-              io.emit('play-video-now', { url: message.value });
-              console.log(`Playing video immediately: ${message.value}`);
-            } else {
-              console.warn('Invalid YouTube URL');
-            }
-            break;
+  const { newKey, successor } = rotateApiKey(fileKeys, record, graceHours, expiresAt);
 
-          case 'play':
-            if (message.value && isValidYouTubeUrl(message.value)) {
-              io.emit('play-video', { url: message.value });
-              console.log(`Adding video to playlist: ${message.value}`);
-            } else {
-              console.warn('Invalid YouTube URL');
-            }
-            break;
+  if (!saveApiKeys(fileKeys)) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save API key'
+    });
+  }
 
-          case 'play-pause':
-            io.emit('control-play-pause');
-            console.log('Toggling play/pause');
-            break;
+  console.log(`[AUTH] Rotated API key "${record.name}" (${record.prefix} -> ${successor.prefix}), old key valid until ${record.expiresAt}`);
+  req.audit.details = { name: record.name, prefix: record.prefix, successorId: successor.id, successorPrefix: successor.prefix };
 
-          // Deprecated: kept for backward compatibility
-          case 'pause':
-            io.emit('control-play-pause');
-            console.log('Toggling play/pause (via deprecated pause)');
-            break;
+  res.json({
+    success: true,
+    message: 'API key rotated successfully',
+    key: newKey,
+    keyId: successor.id,
+    prefix: successor.prefix,
+    previousKey: describeApiKey(record)
+  });
+}
 
-          case 'resume':
-            io.emit('control-play-pause');
-            console.log('Toggling play/pause (via deprecated resume)');
-            break;
+// Shared handler for the key update endpoints: rename, change scopes and/or rate limits
+function handleKeyUpdate(req, res) {
+  const keyId = req.params.keyId || req.params.id;
+  const { name } = req.body;
+  req.audit = { action: 'key.updated', target: keyId };
 
-          case 'stop':
-            io.emit('control-stop');
-            console.log('Stopping video');
-            break;
+  if (name === undefined && req.body.scopes === undefined && req.body.rateLimits === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name, scopes or rateLimits is required'
+    });
+  }
 
-          case 'fullscreen':
-            io.emit('control-fullscreen');
-            console.log('Toggling fullscreen');
-            break;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name cannot be empty'
+    });
+  }
 
-          // Deprecated: kept for backward compatibility
-          case 'exitfullscreen':
-            io.emit('control-fullscreen');
-            console.log('Toggling fullscreen (via deprecated exitfullscreen)');
-            break;
+  const { scopes, error } = req.body.scopes === undefined ? {} : parseScopes(req.body.scopes);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const fileKeys = loadApiKeys();
+  const keyIndex = fileKeys.findIndex(k => k.id === keyId);
+
+  if (keyIndex === -1) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  let rateLimits = null;
+  if (req.body.rateLimits !== undefined) {
+    const parsed = parseRateLimits(req.body.rateLimits, fileKeys[keyIndex].rateLimits);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+    rateLimits = parsed.rateLimits;
+  }
+
+  req.audit.details = { changes: {} };
+  if (name !== undefined) {
+    req.audit.details.changes.name = { from: fileKeys[keyIndex].name, to: name.trim() };
+    fileKeys[keyIndex].name = name.trim();
+  }
+  if (scopes) {
+    req.audit.details.changes.scopes = { from: fileKeys[keyIndex].scopes, to: scopes };
+    fileKeys[keyIndex].scopes = scopes;
+  }
+  if (rateLimits) {
+    req.audit.details.changes.rateLimits = { from: fileKeys[keyIndex].rateLimits || {}, to: rateLimits };
+    fileKeys[keyIndex].rateLimits = rateLimits;
+  }
+
+  if (saveApiKeys(fileKeys)) {
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      key: describeApiKey(fileKeys[keyIndex])
+    });
+  } else {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key'
+    });
+  }
+}
+
+// Shared handler for the key revocation (DELETE) endpoints. Revoked keys stay in the file as a record.
+function handleKeyRevocation(req, res) {
+  const keyId = req.params.keyId || req.params.id;
+  const reason = (req.body && req.body.reason) || req.query.reason;
+  req.audit = { action: 'key.revoked', target: keyId };
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: 'reason must be a string of up to 200 characters'
+    });
+  }
+
+  const fileKeys = loadApiKeys();
+  const record = fileKeys.find(k => k.id === keyId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found or cannot be revoked (environment keys cannot be revoked via API)'
+    });
+  }
+
+  if (record.revokedAt) {
+    return res.status(409).json({
+      success: false,
+      error: 'API key is already revoked'
+    });
+  }
+
+  record.revokedAt = new Date().toISOString();
+  record.revocationReason = reason ? reason.trim() : null;
+  req.audit.details = { name: record.name, prefix: record.prefix, reason: record.revocationReason };
+
+  if (saveApiKeys(fileKeys)) {
+    console.log(`[AUTH] Revoked API key "${record.name}" (${record.prefix})${record.revocationReason ? `: ${record.revocationReason}` : ''}`);
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      key: describeApiKey(record)
+    });
+  } else {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+}
+
+// Find the key matching a presented secret, or null. Comparisons are constant-time.
+function findApiKey(apiKey) {
+  if (typeof apiKey !== 'string' || apiKey.length === 0) {
+    return null;
+  }
+
+  const digest = crypto.createHash('sha256').update(apiKey).digest();
+  const envIndex = getEnvApiKeys().findIndex(key =>
+    crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(key).digest())
+  );
+  if (envIndex !== -1) {
+    return getEnvKeyRecord(apiKey, envIndex);
+  }
+
+  const prefix = getKeyPrefix(apiKey);
+  const record = loadApiKeys().find(k =>
+    k.prefix === prefix && typeof k.hash === 'string' && safeEqual(hashApiKey(apiKey, k.salt), k.hash)
+  );
+  return record ? { ...record, source: 'file' } : null;
+}
+
+// Keys from .env have every scope and never expire
+function getEnvKeyRecord(apiKey, index) {
+  return { id: `env-${index}`, name: 'Environment Variable', prefix: getKeyPrefix(apiKey), scopes: [...API_KEY_SCOPES], source: 'env' };
+}
+
+// Look up the current record of a key that authenticated earlier, by its ID. Long-lived
+// connections use this to pick up revocation, expiry and scope changes without rehashing the key.
+function findApiKeyById(id) {
+  const envMatch = /^env-(\d+)$/.exec(id || '');
+  if (envMatch) {
+    const envKey = getEnvApiKeys()[Number(envMatch[1])];
+    return envKey ? getEnvKeyRecord(envKey, Number(envMatch[1])) : null;
+  }
+
+  const record = loadApiKeys().find(k => k.id === id);
+  return record ? { ...record, source: 'file' } : null;
+}
+
+// One-time migration of api-keys.json entries that still hold the plaintext key.
+// Keys from before scopes existed keep full access.
+function migrateApiKeys() {
+  const fileKeys = loadApiKeys();
+  let migrated = 0;
+
+  const updatedKeys = fileKeys.map(entry => {
+    if (typeof entry.key === 'string') {
+      migrated++;
+      const record = createApiKeyRecord(entry.name, entry.key, entry.scopes || [...API_KEY_SCOPES], entry.createdAt || null);
+      return { ...record, id: entry.id || record.id };
+    }
+    if (!Array.isArray(entry.scopes)) {
+      migrated++;
+      return { ...entry, scopes: [...API_KEY_SCOPES] };
+    }
+    return entry;
+  });
+
+  if (migrated === 0) {
+    return;
+  }
+
+  if (saveApiKeys(updatedKeys)) {
+    console.log(`🔒 Migrated ${migrated} API key(s) in ${API_KEYS_FILE} to hashed, scoped storage`);
+  } else {
+    console.error('⚠️  Failed to migrate API keys; plaintext keys remain unhashed on disk');
+  }
+}
+
+// Validate API keys on startup
+function checkApiKeyConfiguration() {
+  const envKeys = getEnvApiKeys();
+  if ((envKeys.length === 0 && loadApiKeys().length === 0) || envKeys.includes('your-secret-api-key-change-this-in-production')) {
+    console.warn('⚠️  WARNING: Using default or no API keys! Please set secure API_KEYS in .env file or create keys at /keys');
+  }
+}
+
+// Admin account and sessions for the key management pages
+const ADMIN_FILE = path.join(DATA_DIR, 'admin.json');
+const ADMIN_SESSION_COOKIE = 'liveboard_admin';
+const ADMIN_SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const MIN_ADMIN_PASSWORD_LENGTH = 10;
+
+let adminAccount = readJsonFile(ADMIN_FILE); // { passwordHash, createdAt, updatedAt }, null until first-run setup
+let bootstrapToken = null; // One-time setup token printed at startup while no admin password is set
+const adminSessions = new Map(); // session id -> { csrfToken, createdAt, expiresAt }
+
+// Hash a password with scrypt and a random salt ("scrypt:<salt>:<hash>")
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Constant-time comparison of two strings
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Ignore malformed cookie values
+    }
+  });
+  return cookies;
+}
+
+// Print a one-time bootstrap token so the first admin password can be set from the browser
+function ensureAdminBootstrap() {
+  if (adminAccount) return;
+
+  bootstrapToken = crypto.randomBytes(24).toString('hex');
+  console.log('');
+  console.log('🔑 No admin password is set. Open /login and enter this one-time setup token:');
+  console.log(`   ${bootstrapToken}`);
+  console.log('');
+}
+
+function saveAdminAccount(passwordHash) {
+  const now = new Date().toISOString();
+  const account = {
+    passwordHash,
+    createdAt: adminAccount ? adminAccount.createdAt : now,
+    updatedAt: now
+  };
+
+  try {
+    writeJsonFileAtomic(ADMIN_FILE, account);
+    adminAccount = account;
+    return true;
+  } catch (error) {
+    console.error('Error saving admin account:', error.message);
+    return false;
+  }
+}
+
+// Look up the admin session from the request cookie, dropping it if expired
+function getAdminSession(req) {
+  const sessionId = parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE];
+  const session = sessionId && adminSessions.get(sessionId);
+  if (!session) return null;
+
+  if (session.expiresAt <= Date.now()) {
+    adminSessions.delete(sessionId);
+    return null;
+  }
+  return session;
+}
+
+function createAdminSession(req, res) {
+  // Drop expired sessions so the map does not grow forever
+  adminSessions.forEach((session, id) => {
+    if (session.expiresAt <= Date.now()) {
+      adminSessions.delete(id);
+    }
+  });
+
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  const session = {
+    id: sessionId,
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    createdAt: Date.now(),
+    expiresAt: Date.now() + ADMIN_SESSION_TTL
+  };
+  adminSessions.set(sessionId, session);
+
+  res.cookie(ADMIN_SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge: ADMIN_SESSION_TTL,
+    path: '/'
+  });
+  return session;
+}
+
+// Admin session middleware; state-changing requests must also send the session's X-CSRF-Token
+function requireAdminSession(req, res, next) {
+  const session = getAdminSession(req);
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin login required'
+    });
+  }
+
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    const csrfToken = req.get('X-CSRF-Token');
+    if (!csrfToken || !safeEqual(csrfToken, session.csrfToken)) {
+      console.warn(`[AUTH] Rejected admin request with missing or invalid CSRF token from IP: ${req.ip}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token'
+      });
+    }
+  }
+
+  req.adminSession = session;
+  next();
+}
+
+// Send admin pages to the login page when there is no session
+function requireAdminPage(req, res, next) {
+  if (!getAdminSession(req)) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  next();
+}
+
+// Authentication middleware
+function requireApiKey(req, res, next) {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    console.warn(`[AUTH] Missing API key from IP: ${req.ip}`);
+
+    // Emit failed authentication event
+    publishEvent('auth-attempt', {
+      success: false,
+      reason: 'Missing API key',
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+    fireWebhooks('auth.failed', { reason: 'Missing API key', ip: req.ip, path: req.originalUrl });
+    req.audit = { action: 'auth.api-key', details: { reason: 'Missing API key' } };
+
+    return res.status(401).json({
+      success: false,
+      error: 'API key required. Include X-API-Key header in your request.'
+    });
+  }
+
+  // Locked-out IPs are refused before the key is checked, so guessing cannot continue
+  const lockedUntil = getLockout(req.ip);
+  if (lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+    console.warn(`[AUTH] API key from locked-out IP: ${req.ip}`);
+    req.audit = { action: 'auth.api-key', details: { reason: 'IP locked out' } };
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: `Too many invalid API keys from this IP. Try again in ${retryAfter} seconds.`,
+      lockedUntil: new Date(lockedUntil).toISOString()
+    });
+  }
+
+  // Keys are re-read on every request so newly added ones work immediately
+  const keyRecord = findApiKey(apiKey);
+
+  if (!keyRecord) {
+    console.warn(`[AUTH] Invalid API key attempt from IP: ${req.ip}`);
+
+    // Emit failed authentication event
+    publishEvent('auth-attempt', {
+      success: false,
+      reason: 'Invalid API key',
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+    fireWebhooks('auth.failed', { reason: 'Invalid API key', ip: req.ip, path: req.originalUrl });
+    req.audit = { action: 'auth.api-key', details: { reason: 'Invalid API key', prefix: getKeyPrefix(apiKey) } };
+    recordAuthFailure(req.ip, 'Invalid API key');
+
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key'
+    });
+  }
+
+  // Expired and revoked keys are kept on file, so they get their own errors
+  const keyStatus = getKeyStatus(keyRecord);
+  if (keyStatus !== 'active') {
+    const reason = keyStatus === 'expired' ? 'Expired API key' : 'Revoked API key';
+    console.warn(`[AUTH] ${reason} "${keyRecord.name}" (${keyRecord.prefix}) used from IP: ${req.ip}`);
+
+    // Emit failed authentication event
+    publishEvent('auth-attempt', {
+      success: false,
+      reason,
+      deviceName: keyRecord.name,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+    fireWebhooks('auth.failed', { reason, ip: req.ip, path: req.originalUrl });
+    req.audit = { action: 'auth.api-key', target: keyRecord.id, details: { reason } };
+
+    return res.status(401).json({
+      success: false,
+      error: keyStatus === 'expired'
+        ? `API key expired at ${keyRecord.expiresAt}`
+        : `API key was revoked at ${keyRecord.revokedAt}${keyRecord.revocationReason ? ` (${keyRecord.revocationReason})` : ''}`,
+      keyStatus
+    });
+  }
+
+  const deviceName = keyRecord.name || 'Unknown Device';
+  req.apiKey = keyRecord;
+  clearAuthFailures(req.ip);
+  recordKeyUsage(keyRecord, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    command: `${req.method} ${req.route ? req.route.path : req.path}`
+  });
+
+  console.log(`[AUTH] Authenticated request from IP: ${req.ip}, Device: ${deviceName}`);
+
+  // Emit successful authentication event
+  publishEvent('auth-attempt', {
+    success: true,
+    deviceName: deviceName,
+    ip: req.ip,
+    timestamp: new Date().toISOString()
+  });
+
+  // Update API client activity
+  updateApiActivity();
+
+  // Apply the key's own request limit
+  keyRequestLimiter(req, res, next);
+}
+
+// Scope middleware for routes behind requireApiKey (or requireAdmin)
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.adminSession || keyHasScope(req.apiKey, scope)) {
+      return next();
+    }
+
+    console.warn(`[AUTH] API key "${req.apiKey.name}" lacks the ${scope} scope for ${req.method} ${req.path}`);
+    return res.status(403).json({
+      success: false,
+      error: `This API key does not have the "${scope}" scope`,
+      requiredScope: scope
+    });
+  };
+}
+
+// Admin endpoints accept either an admin session or an API key with the admin scope
+function requireAdmin(req, res, next) {
+  if (!req.headers['x-api-key']) {
+    return requireAdminSession(req, res, next);
+  }
+  requireApiKey(req, res, () => requireScope('admin')(req, res, next));
+}
+
+// URL validation function
+function isValidYouTubeUrl(url) {
+  if (typeof url !== 'string' || url.length > 500) {
+    return false;
+  }
+
+  const validPatterns = [
+    /^https?:\/\/(www\.)?youtube\.com\/watch\?v=[a-zA-Z0-9_-]{11}(&.*)?$/,
+    /^https?:\/\/youtu\.be\/[a-zA-Z0-9_-]{11}$/,
+    /^https?:\/\/(www\.)?youtube\.com\/embed\/[a-zA-Z0-9_-]{11}$/,
+    /^[a-zA-Z0-9_-]{11}$/
+  ];
+
+  return validPatterns.some(pattern => pattern.test(url));
+}
+
+// Extract YouTube video ID from a validated URL
+function extractVideoId(url) {
+  const patterns = [
+    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
+    /^([a-zA-Z0-9_-]{11})$/
+  ];
+
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+// Middleware
+// Refuse IPs on the denylist (or not on a non-empty allowlist) before anything else
+app.use((req, res, next) => {
+  const access = checkIpAccess(req.ip);
+  if (access.allowed) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    error: access.reason
+  });
+});
+
+app.use(cors((req, callback) => {
+  const origin = req.headers.origin;
+  const { allowed, rule } = checkOrigin(origin);
+
+  if (allowed) {
+    callback(null, { origin: true, credentials: true });
+  } else {
+    console.warn(`Blocked CORS request from: ${origin}`);
+    recordBlockedOrigin(String(origin).substring(0, 200), 'http', req.originalUrl, rule);
+    const error = new Error('Not allowed by CORS');
+    error.status = 403;
+    callback(error);
+  }
+}));
+
+// Playlist imports are read as raw text by their own route, with a larger limit
+const skipPlaylistImport = parser => (req, res, next) => (req.path === '/api/playlist/import' ? next() : parser(req, res, next));
+app.use(skipPlaylistImport(express.json({ limit: '10kb' })));
+app.use(skipPlaylistImport(express.urlencoded({ extended: true, limit: '10kb' })));
+
+// Content Security Policy, built per request. PUBLIC_URL (e.g. https://board.example.com:8443) is the
+// scheme, host and port the dashboard is reached at; without it, the request's own host is used.
+// CSP_REPORT_ONLY=true sends the policy as Content-Security-Policy-Report-Only, to test changes.
+const CSP_REPORT_ONLY = process.env.CSP_REPORT_ONLY === 'true';
+const CSP_REPORT_PATH = '/api/csp-report';
+const MAX_CSP_REPORTS = 100;
+const PUBLIC_URL = parsePublicUrl(process.env.PUBLIC_URL);
+
+function parsePublicUrl(value) {
+  if (!value) return null;
+
+  try {
+    const url = new URL(value);
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      return url;
+    }
+  } catch (e) {
+    // Reported below
+  }
+  console.error(`Ignoring invalid PUBLIC_URL: ${value}`);
+  return null;
+}
+
+// WebSocket sources the dashboard may connect to
+function getSocketSources(req) {
+  if (PUBLIC_URL) {
+    return [`${PUBLIC_URL.protocol === 'https:' ? 'wss' : 'ws'}://${PUBLIC_URL.host}`];
+  }
+
+  const host = req.headers.host;
+  if (!host || !/^[a-z0-9.:[\]-]+$/i.test(host)) {
+    return [];
+  }
+  return [`${req.secure ? 'wss' : 'ws'}://${host}`];
+}
+
+function buildContentSecurityPolicy(req, nonce, { scriptSources = [], connectSources = [], fontSources = [] } = {}) {
+  return [
+    "default-src 'self'",
+    ["script-src 'self'", `'nonce-${nonce}'`, 'https://www.youtube.com', 'https://cdn.socket.io', 'https://cdn.jsdelivr.net', ...scriptSources].join(' '),
+    "frame-src 'self' https://www.youtube.com",
+    ["connect-src 'self'", ...getSocketSources(req), 'https://www.youtube.com', 'https://i.ytimg.com', ...connectSources].join(' '),
+    "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
+    "img-src 'self' https: data:",
+    ["font-src 'self' data:", ...fontSources].join(' '),
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    `report-uri ${CSP_REPORT_PATH}`,
+    'report-to csp-endpoint'
+  ].join('; ');
+}
+
+function setContentSecurityPolicy(res, policy) {
+  res.setHeader(CSP_REPORT_ONLY ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy', policy);
+}
+
+// Send an HTML page from public/ with the request's CSP nonce on each script tag
+function sendPage(res, file) {
+  try {
+    const html = fs.readFileSync(path.join(__dirname, 'public', file), 'utf8');
+    res.setHeader('Cache-Control', 'no-store'); // The nonce changes on every request
+    res.type('html').send(html.replace(/<script(?=[\s>])/g, `<script nonce="${res.locals.cspNonce}"`));
+  } catch (error) {
+    console.error(`Error loading ${file}:`, error.message);
+    res.status(500).send('Error loading page');
+  }
+}
+
+// CSP violation reports, grouped by directive and blocked URL, for GET /api/admin/csp-reports
+const cspReports = new Map(); // "directive blocked" -> { directive, blocked, count, ... }
+
+// Accepts both the report-uri format ({"csp-report": {...}}) and the Reporting API format
+function recordCspReport(report) {
+  const directive = String(report.effectiveDirective || report['effective-directive'] || report['violated-directive'] || 'unknown').substring(0, 100);
+  const blocked = String(report.blockedURL || report['blocked-uri'] || 'unknown').substring(0, 200);
+  const documentUri = String(report.documentURL || report['document-uri'] || '').split('?')[0].substring(0, 200);
+  const key = `${directive} ${blocked}`;
+  const now = new Date().toISOString();
+  let entry = cspReports.get(key);
+
+  if (!entry) {
+    if (cspReports.size >= MAX_CSP_REPORTS) {
+      const oldest = [...cspReports.entries()].sort((a, b) => a[1].lastSeenAt.localeCompare(b[1].lastSeenAt))[0];
+      cspReports.delete(oldest[0]);
+    }
+    entry = { directive, blocked, count: 0, firstSeenAt: now };
+    cspReports.set(key, entry);
+    console.warn(`CSP violation: ${directive} blocked ${blocked} on ${documentUri || 'unknown page'}`);
+  }
+
+  entry.count++;
+  entry.lastSeenAt = now;
+  entry.documentUri = documentUri || entry.documentUri || null;
+  entry.sourceFile = report.sourceFile || report['source-file'] || entry.sourceFile || null;
+  entry.lineNumber = report.lineNumber || report['line-number'] || entry.lineNumber || null;
+  entry.disposition = report.disposition || (CSP_REPORT_ONLY ? 'report' : 'enforce');
+}
+
+// Security headers
+app.use((req, res, next) => {
+  // Content Security Policy, with a fresh nonce for the page's scripts
+  res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+  setContentSecurityPolicy(res, buildContentSecurityPolicy(req, res.locals.cspNonce));
+  res.setHeader('Reporting-Endpoints', `csp-endpoint="${CSP_REPORT_PATH}"`);
+
+  if (req.secure && HSTS_MAX_AGE > 0) {
+    res.setHeader('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}`);
+  }
+
+  // Additional security headers
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+
+  next();
+});
+
+// Admin pages must go through their session-checked routes, not the static file server
+app.get(['/keys.html', '/admin-keys.html'], (req, res) => res.redirect('/keys'));
+app.get('/setup.html', (req, res) => res.redirect('/setup'));
+app.get('/login.html', (req, res) => res.redirect('/login'));
+app.get('/index.html', (req, res) => res.redirect('/'));
+
+// Disable caching for static files
+app.use(express.static('public', {
+  index: false, // The dashboard is served by its own route, with CSP nonces
+  setHeaders: (res, path) => {
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+  }
+}));
+
+// Rate limiting for API endpoints
+// Per-IP limit for requests that do not carry a valid API key (those are limited per key below)
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // Limit each IP to 100 requests per windowMs
+  skip: (req) => {
+    // CSP reports come from browsers without a key and have their own limit
+    if (req.path === '/csp-report') return true;
+
+    const keyRecord = findApiKey(req.get('X-API-Key'));
+    return !!keyRecord && getKeyStatus(keyRecord) === 'active';
+  },
+  message: {
+    success: false,
+    error: 'Too many requests, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const cspReportLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 reports per IP
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const adminLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 login or setup attempts per IP
+  message: {
+    success: false,
+    error: 'Too many login attempts, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const pairingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 pairing requests or code entries per IP
+  message: {
+    success: false,
+    error: 'Too many pairing attempts, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Per-key limits. The stores are shared with the socket command handler so REST and
+// socket commands count against the same budget.
+const keyRequestStore = new rateLimit.MemoryStore();
+const keyQueueStore = new rateLimit.MemoryStore();
+
+// Runs at the end of requireApiKey, so every authenticated request counts
+const keyRequestLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => getKeyRateLimits(req.apiKey).requestsPerMinute,
+  keyGenerator: (req) => req.apiKey.id,
+  store: keyRequestStore,
+  message: {
+    success: false,
+    error: 'Too many requests for this API key, please slow down'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Routes that add videos to the queue
+const queueLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  limit: (req) => getKeyRateLimits(req.apiKey).queueAdditionsPerHour,
+  keyGenerator: (req) => req.apiKey.id,
+  store: keyQueueStore,
+  requestPropertyName: 'queueRateLimit',
+  message: {
+    success: false,
+    error: 'This API key has reached its hourly queue limit'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Count a socket command against a per-key store; resolves to true when over the limit
+async function isKeyLimitExceeded(store, keyId, limit) {
+  const { totalHits } = await store.increment(keyId);
+  return totalHits > limit;
+}
+
+// Apply rate limiting to API routes
+app.use('/api/', apiLimiter);
+
+// Record commands, changes and auth failures in the audit log
+app.use('/api/', auditRequests);
+
+// Store connected clients with their info
+let connectedClients = [];
+let connectedClientsCount = 0;
+
+// Socket roles, declared in the handshake. Each role has its own room:
+// - dashboard: a player page. The only role whose playback state reports are accepted.
+// - controller: sends commands. Needs an API key.
+// - observer: receives playback state only.
+// - admin: also receives security events. Needs an admin-scoped API key or an admin login.
+const ROLE_ROOMS = {
+  dashboard: 'dashboards',
+  controller: 'controllers',
+  observer: 'observers',
+  admin: 'admins'
+};
+const SOCKET_ROLES = Object.keys(ROLE_ROOMS);
+
+// Messages only dashboards may send: playback state reports and the dashboard's playlist panel
+const DASHBOARD_MESSAGES = [
+  'volume_update', 'status_update', 'title_update', 'now_playing', 'video_ended',
+  'playlist_export', 'playlist_import', 'playlist_add', 'playlist_remove', 'playlist_move',
+  'playlist_clear', 'playlist_select', 'playlist_next', 'playlist_previous', 'history_clear'
+];
+
+// Scope a dashboard needs for each playlist panel message, matching the REST route that does
+// the same thing. Playback state reports need no scope.
+const DASHBOARD_MESSAGE_SCOPES = {
+  playlist_export: 'state:read',
+  playlist_import: 'queue:manage',
+  playlist_add: 'queue:add',
+  playlist_remove: 'queue:manage',
+  playlist_move: 'queue:manage',
+  playlist_clear: 'queue:manage',
+  history_clear: 'queue:manage',
+  playlist_select: 'playback',
+  playlist_next: 'playback',
+  playlist_previous: 'playback'
+};
+
+// How long a socket's key check is trusted before the key is looked up again. Changes made
+// through the API apply at once; this only bounds how late hand edits to api-keys.json are seen.
+const ADMIN_ACCESS_CACHE_TTL = 30 * 1000;
+
+// Whether a socket currently has admin rights. Checked on every send, so an ended admin login
+// stops admin events straight away. The key found at the handshake is looked up by ID and the
+// result cached on the socket until the keys change, the cache expires or the key does.
+function hasAdminAccess(socket) {
+  if (getAdminSession(socket.handshake)) {
+    return true;
+  }
+  if (!socket.data.keyId) {
+    return false;
+  }
+
+  const now = Date.now();
+  const cached = socket.data.adminAccess;
+  if (cached && cached.version === apiKeysVersion && cached.until > now) {
+    return cached.allowed;
+  }
+
+  const keyRecord = findApiKeyById(socket.data.keyId);
+  const allowed = !!keyRecord && getKeyStatus(keyRecord) === 'active' && keyHasScope(keyRecord, 'admin');
+  const expiresAt = allowed && keyRecord.expiresAt ? Date.parse(keyRecord.expiresAt) : Infinity;
+  socket.data.adminAccess = { version: apiKeysVersion, allowed, until: Math.min(now + ADMIN_ACCESS_CACHE_TTL, expiresAt) };
+  return allowed;
+}
+
+// Emit an event to every socket in the given roles
+function emitToRoles(roles, event, data) {
+  // Every socket has a role, so events for all roles need no per-socket checks
+  if (SOCKET_ROLES.every(role => roles.includes(role))) {
+    io.emit(event, data);
+    return;
+  }
+
+  const rooms = roles.filter(role => role !== 'admin').map(role => ROLE_ROOMS[role]);
+  if (rooms.length > 0) {
+    io.to(rooms).emit(event, data);
+  }
+
+  // Admin sockets are checked one by one; dashboards with an admin login are in this room too
+  if (roles.includes('admin')) {
+    const adminIds = io.sockets.adapter.rooms.get(ROLE_ROOMS.admin) || new Set();
+    adminIds.forEach(id => {
+      const socket = io.sockets.sockets.get(id);
+      const alreadySent = socket && roles.some(role => role !== 'admin' && socket.rooms.has(ROLE_ROOMS[role]));
+      if (socket && !alreadySent && hasAdminAccess(socket)) {
+        socket.emit(event, data);
+      }
+    });
+  }
+}
+
+// Send the client list: dashboards get names only, admins (and SSE) also get IP addresses
+function publishConnectedClients() {
+  const clients = getExternalClients();
+  io.to(ROLE_ROOMS.dashboard).emit('connected-clients', {
+    clients: clients.map(({ ipAddress, ...client }) => client)
+  });
+  publishEvent('connected-clients', { clients });
+}
+
+// Helper function to get only external clients (excluding dashboards)
+function getExternalClients() {
+  return connectedClients.filter(c => c.type === 'external');
+}
+
+// Helper function to get only dashboard clients
+function getDashboardClients() {
+  return connectedClients.filter(c => c.type === 'dashboard');
+}
+
+// Device registry, keyed by the ID each client generates once and sends in the handshake, so a
+// device keeps its name and history across reloads. Only clients with an API key are registered,
+// and an ID stays bound to the key that first used it. Dashboards are the exception: their ID
+// comes from the device token issued when they were enrolled, and only the salted hash of that
+// token is kept.
+const DEVICES_FILE = path.join(DATA_DIR, 'devices.json');
+const DEVICES_FLUSH_DELAY = 5 * 1000;
+const MAX_DEVICES = parseInt(process.env.MAX_DEVICES, 10) || 500;
+const MAX_DEVICES_PER_KEY = parseInt(process.env.MAX_DEVICES_PER_KEY, 10) || 20;
+// Upgrade path: accept dashboards without a device token (with a warning) until every screen is enrolled
+const ALLOW_UNENROLLED_DASHBOARDS = process.env.ALLOW_UNENROLLED_DASHBOARDS === 'true';
+const MAX_DEVICE_NAME_LENGTH = 100;
+// Scopes of enrolled dashboards without their own (set per device through PATCH /api/devices/:id)
+const DEFAULT_DASHBOARD_SCOPES = (process.env.DASHBOARD_SCOPES || 'playback,queue:add,queue:manage,state:read')
+  .split(',')
+  .map(scope => scope.trim())
+  .filter(scope => API_KEY_SCOPES.includes(scope) && scope !== 'admin');
+let devices = {};  // { [id]: { id, name, role, keyId, firstSeenAt, lastSeenAt, lastIp, renamedAt, enrolledAt, tokenSalt, tokenHash, scopes, rateLimits } }
+let devicesTimer = null;
+
+// Device IDs are opaque strings chosen by the client
+function isValidDeviceId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(id);
+}
+
+// Device ID sent in the handshake: the auth payload (io(url, { auth: { deviceId } })) or an X-Device-Id header
+function getHandshakeDeviceId(socket) {
+  const { auth, headers } = socket.handshake;
+  const deviceId = (auth && auth.deviceId) || headers['x-device-id'];
+  return isValidDeviceId(deviceId) ? deviceId : null;
+}
+
+// Tab ID sent by the dashboard page, so tabs of one browser get their own connection IDs
+function getHandshakeTabId(socket) {
+  const tabId = socket.handshake.auth && socket.handshake.auth.tabId;
+  return typeof tabId === 'string' && /^[A-Za-z0-9_-]{4,32}$/.test(tabId) ? tabId : null;
+}
+
+// The registry ID a connecting socket may use, or null to leave it unregistered. Dashboards use
+// the ID from their device token. Other clients need an API key, cannot take an ID that belongs
+// to an enrolled dashboard or another key, and each key registers at most MAX_DEVICES_PER_KEY devices.
+function claimDeviceId(socket) {
+  if (socket.data.role === 'dashboard') {
+    return socket.data.deviceId;
+  }
+
+  const deviceId = getHandshakeDeviceId(socket);
+  const keyId = socket.data.keyId;
+  if (!deviceId || !keyId) {
+    return null;
+  }
+
+  const existing = devices[deviceId];
+  if (existing) {
+    if (isEnrolledDevice(existing) || (existing.keyId && existing.keyId !== keyId)) {
+      console.warn(`[AUTH] Ignored device ID ${deviceId} claimed by key ${keyId} from IP: ${socket.handshake.address}`);
+      return null;
+    }
+    return deviceId;
+  }
+
+  // Make room by forgetting the key's least recently seen devices that are not connected
+  const owned = Object.values(devices)
+    .filter(device => device.keyId === keyId)
+    .sort((a, b) => a.lastSeenAt.localeCompare(b.lastSeenAt));
+  const stale = owned
+    .filter(device => !isDeviceConnected(device.id))
+    .slice(0, Math.max(0, owned.length - MAX_DEVICES_PER_KEY + 1));
+  stale.forEach(device => delete devices[device.id]);
+  if (stale.length > 0) {
+    scheduleDeviceSave();
+  }
+  if (owned.length - stale.length >= MAX_DEVICES_PER_KEY) {
+    console.warn(`[AUTH] Key ${keyId} has ${MAX_DEVICES_PER_KEY} connected devices; not registering ${deviceId}`);
+    return null;
+  }
+  return deviceId;
+}
+
+// Device token sent in the handshake by dashboards: the auth payload or an X-Device-Token header
+function getHandshakeDeviceToken(socket) {
+  const { auth, headers } = socket.handshake;
+  const token = (auth && auth.deviceToken) || headers['x-device-token'];
+  return typeof token === 'string' ? token : null;
+}
+
+function isEnrolledDevice(device) {
+  return !!device && typeof device.tokenHash === 'string';
+}
+
+function getDeviceScopes(device) {
+  return Array.isArray(device.scopes) ? device.scopes : DEFAULT_DASHBOARD_SCOPES;
+}
+
+// Device tokens are lbd_<device ID>_<secret>
+function findDeviceByToken(token) {
+  const match = /^lbd_([0-9a-f]{16})_([0-9a-f]{64})$/.exec(token);
+  const device = match && devices[match[1]];
+  if (!isEnrolledDevice(device)) return null;
+  return safeEqual(hashApiKey(match[2], device.tokenSalt), device.tokenHash) ? device : null;
+}
+
+// Register a new dashboard and issue its token. The token is returned once and cannot be recovered.
+function enrollDevice(name, ip) {
+  pruneDevices(MAX_DEVICES - 1);
+  if (Object.keys(devices).length >= MAX_DEVICES) {
+    return { error: 'The device registry is full. Remove unused devices first.' };
+  }
+
+  let id;
+  do {
+    id = crypto.randomBytes(8).toString('hex');
+  } while (devices[id]);
+  const secret = crypto.randomBytes(32).toString('hex');
+  const tokenSalt = crypto.randomBytes(16).toString('hex');
+  const now = new Date().toISOString();
+
+  const device = devices[id] = {
+    id,
+    name: name || null,
+    role: 'dashboard',
+    firstSeenAt: now,
+    lastSeenAt: now,
+    lastIp: ip,
+    renamedAt: name ? now : null,
+    enrolledAt: now,
+    tokenSalt,
+    tokenHash: hashApiKey(secret, tokenSalt)
+  };
+  flushDevices();
+
+  return { device, token: `lbd_${id}_${secret}` };
+}
+
+// Add or refresh a device when one of its sockets connects
+function registerDevice(id, role, ip, keyId) {
+  const now = new Date().toISOString();
+  const device = devices[id] || (devices[id] = {
+    id,
+    name: null,
+    role,
+    keyId,
+    firstSeenAt: now,
+    lastSeenAt: now,
+    lastIp: ip,
+    renamedAt: null
+  });
+  device.role = role;
+  device.keyId = device.keyId || keyId;
+  device.lastSeenAt = now;
+  device.lastIp = ip;
+
+  pruneDevices();
+  scheduleDeviceSave();
+  return device;
+}
+
+// Forget the devices seen least recently once the registry is full. Connected and enrolled
+// devices are kept; enrolled ones are only removed through DELETE /api/devices/:id.
+function pruneDevices(max = MAX_DEVICES) {
+  const ids = Object.keys(devices);
+  if (ids.length <= max) return;
+
+  ids
+    .filter(id => !isDeviceConnected(id) && !isEnrolledDevice(devices[id]))
+    .sort((a, b) => devices[a].lastSeenAt.localeCompare(devices[b].lastSeenAt))
+    .slice(0, ids.length - max)
+    .forEach(id => delete devices[id]);
+}
+
+function isDeviceConnected(id) {
+  return connectedClients.some(c => c.deviceId === id);
+}
+
+// The registry entry in the shape returned by /api/devices
+function describeDevice(device) {
+  const { tokenSalt, tokenHash, ...details } = device;
+  const connections = connectedClients.filter(c => c.deviceId === device.id);
+  const enrolled = isEnrolledDevice(device);
+  return {
+    ...details,
+    enrolled,
+    scopes: enrolled ? getDeviceScopes(device) : undefined,
+    rateLimits: enrolled ? getKeyRateLimits(device) : undefined,
+    connected: connections.length > 0,
+    connections: connections.length,
+    groups: deviceGroups[device.id] || []
+  };
+}
+
+function scheduleDeviceSave() {
+  if (!devicesTimer) {
+    devicesTimer = setTimeout(flushDevices, DEVICES_FLUSH_DELAY);
+  }
+}
+
+function flushDevices() {
+  clearTimeout(devicesTimer);
+  devicesTimer = null;
+
+  try {
+    writeJsonFileAtomic(DEVICES_FILE, devices);
+  } catch (error) {
+    console.error('Error saving devices file:', error.message);
+  }
+}
+
+function restoreDevices() {
+  const saved = readJsonFile(DEVICES_FILE);
+  if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+    Object.values(saved)
+      .filter(device => device && isValidDeviceId(device.id))
+      .forEach(device => {
+        devices[device.id] = device;
+      });
+  }
+}
+
+// Named dashboard groups, keyed by device ID so assignments survive reconnects and renames
+let deviceGroups = {};  // { [deviceId]: ['lobby', 'kitchen'] }
+// Assignments saved before groups were keyed by device ID. They seed a dashboard's
+// groups the first time it connects under that name, and still apply to unenrolled dashboards.
+let legacyDashboardGroups = {};  // { [dashboardName]: ['lobby'] }
+
+// Validate a group name
+function isValidGroupName(name) {
+  return typeof name === 'string' && /^[\w .-]{1,50}$/.test(name);
+}
+
+// Get the groups a connected dashboard belongs to
+function getGroupsForDashboard(client) {
+  if (!client.deviceId) {
+    return legacyDashboardGroups[client.name] || [];
+  }
+
+  if (!deviceGroups[client.deviceId] && legacyDashboardGroups[client.name]) {
+    deviceGroups[client.deviceId] = [...legacyDashboardGroups[client.name]];
+    schedulePersist();
+    console.log(`Device ${client.deviceId} given the groups saved for ${client.name}`);
+  }
+  return deviceGroups[client.deviceId] || [];
+}
+
+// Get every group name that has at least one member
+function getAllGroupNames() {
+  const connectedGroups = getDashboardClients().map(c => c.groups || []);
+  return [...new Set([...Object.values(deviceGroups), ...connectedGroups].flat())];
+}
+
+// Join a dashboard socket to its device and group rooms
+function joinDashboardRooms(socket, client) {
+  socket.join(`dashboard:${client.id}`);
+  client.groups = getGroupsForDashboard(client);
+  client.groups.forEach(group => socket.join(`group:${group}`));
+}
+
+// Remove a dashboard socket from its device and group rooms
+function leaveDashboardRooms(socket, client) {
+  socket.leave(`dashboard:${client.id}`);
+  (client.groups || []).forEach(group => socket.leave(`group:${group}`));
+  client.groups = [];
+}
+
+// Resolve a command target (dashboard ID, dashboard name or group name).
+// An empty target addresses every client, as before targeting existed.
+function resolveTarget(target) {
+  if (target === undefined || target === null || target === '') {
+    return {
+      broadcast: true,
+      label: 'all dashboards',
+      dashboards: getDashboardClients()
+    };
+  }
+
+  if (typeof target !== 'string') {
+    return { error: 'Target must be a string', status: 400 };
+  }
+
+  const dashboards = getDashboardClients();
+
+  // A device ID addresses every connection (tab) of that device
+  const byId = dashboards.filter(c => c.id === target || c.deviceId === target);
+  if (byId.length > 0) {
+    return { type: 'dashboard', target, label: `dashboard ${byId[0].name}`, rooms: byId.map(c => `dashboard:${c.id}`), dashboards: byId };
+  }
+
+  const byName = dashboards.filter(c => c.name === target);
+  if (byName.length > 0) {
+    return { type: 'dashboard', target, label: `dashboard ${target}`, rooms: byName.map(c => `dashboard:${c.id}`), dashboards: byName };
+  }
+
+  if (getAllGroupNames().includes(target)) {
+    return {
+      type: 'group',
+      target,
+      label: `group ${target}`,
+      rooms: [`group:${target}`],
+      dashboards: dashboards.filter(c => (c.groups || []).includes(target))
+    };
+  }
+
+  return { error: `No connected dashboard or group matches target: ${target}`, status: 404 };
+}
+
+// How long to wait for each dashboard to acknowledge a command
+const COMMAND_ACK_TIMEOUT = parseInt(process.env.COMMAND_ACK_TIMEOUT, 10) || 3000;
+
+// Send a command to a resolved target and wait for each dashboard to acknowledge it.
+// Resolves with one result per dashboard: applied, error (with reason) or timeout.
+async function dispatchCommand(resolved, event, data = {}) {
+  if (event === 'play-video-now') {
+    playGeneration++;
+  }
+
+  const rooms = resolved.broadcast ? ['dashboards'] : resolved.rooms;
+
+  // Untargeted commands are still broadcast to non-dashboard clients, which only observe them
+  if (resolved.broadcast) {
+    io.except('dashboards').emit(event, data);
+  }
+
+  let sockets = [];
+  try {
+    sockets = await io.in(rooms).fetchSockets();
+  } catch (error) {
+    console.error(`Failed to look up dashboards for ${event}:`, error);
+  }
+
+  const results = await Promise.all(sockets.map(socket => new Promise(resolve => {
+    const client = connectedClients.find(c => c.socketId === socket.id);
+    const result = { id: client ? client.id : socket.id, name: client ? client.name : 'Unknown Device' };
+
+    socket.timeout(COMMAND_ACK_TIMEOUT).emit(event, data, (err, response) => {
+      if (err) {
+        resolve({ ...result, status: 'timeout', error: `No acknowledgement within ${COMMAND_ACK_TIMEOUT}ms` });
+      } else if (response && response.ok === false) {
+        resolve({ ...result, status: 'error', error: response.error || 'Command failed' });
+      } else {
+        resolve({ ...result, status: 'applied' });
+      }
+    });
+  })));
+
+  const applied = results.filter(r => r.status === 'applied').length;
+  console.log(`${event} delivered to ${resolved.label}: ${applied}/${results.length} applied`);
+
+  return {
+    broadcast: !!resolved.broadcast,
+    results,
+    summary: {
+      total: results.length,
+      applied,
+      failed: results.filter(r => r.status === 'error').length,
+      timedOut: results.filter(r => r.status === 'timeout').length
+    }
+  };
+}
+
+// Send the outcome of a dispatched command as a REST response. Untargeted commands always get
+// 200, as before targeting existed; targeted ones get 503 when no dashboard received them and
+// 502 when none applied them.
+function sendCommandResult(res, outcome, message, extra = {}) {
+  const { broadcast, results, summary } = outcome;
+
+  if (broadcast) {
+    return res.json({
+      success: summary.applied === summary.total,
+      message,
+      ...extra,
+      results,
+      summary,
+      clientCount: getExternalClients().length
+    });
+  }
+
+  if (summary.total === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'No dashboards connected to receive the command',
+      results,
+      summary
+    });
+  }
+
+  res.status(summary.applied > 0 ? 200 : 502).json({
+    success: summary.applied === summary.total,
+    message,
+    ...extra,
+    results,
+    summary,
+    clientCount: getExternalClients().length
+  });
+}
+
+// Resolve the target field of a REST request, responding with an error if it is invalid
+function resolveRequestTarget(req, res) {
+  const resolved = resolveTarget(req.body && req.body.target);
+
+  if (resolved.error) {
+    res.status(resolved.status).json({
+      success: false,
+      error: resolved.error
+    });
+    return null;
+  }
+
+  return resolved;
+}
+
+// Parse a seek request with exactly one of position (seconds), percent (0-100)
+// or offset (seconds relative to the current position, may be negative)
+function parseSeekRequest(input) {
+  const modes = ['position', 'percent', 'offset'].filter(mode => input && input[mode] !== undefined);
+
+  if (modes.length !== 1) {
+    return { error: 'Provide exactly one of position, percent or offset' };
+  }
+
+  const mode = modes[0];
+  const value = input[mode];
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { error: `${mode} must be a number` };
+  }
+  if (mode === 'position' && value < 0) {
+    return { error: 'position must be 0 or greater' };
+  }
+  if (mode === 'percent' && (value < 0 || value > 100)) {
+    return { error: 'percent must be between 0 and 100' };
+  }
+
+  return { seek: { mode, value } };
+}
+
+// Server-Sent Events for API consumers that cannot use socket.io (see GET /api/events)
+const SSE_EVENT_TYPES = [
+  'state-volume-changed',
+  'state-playback-changed',
+  'state-title-changed',
+  'state-snapshot',
+  'playlist-updated',
+  'history-updated',
+  'connected-clients',
+  'api-client-status',
+  'auth-attempt'
+];
+const SSE_BUFFER_SIZE = parseInt(process.env.SSE_BUFFER_SIZE, 10) || 500;
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+let lastEventId = 0;
+const eventBuffer = [];  // Most recent events ({ id, type, data }) kept for Last-Event-ID resume
+const sseClients = new Set();  // { res, types }
+
+// Which roles receive each published event; other events go to every role. Security events
+// are for admins only, and dashboards get the client list from publishConnectedClients().
+const EVENT_AUDIENCES = {
+  'auth-attempt': ['admin'],
+  'connected-clients': ['admin']
+};
+
+// Emit an event to the socket.io clients whose role may see it, and to SSE subscribers
+function publishEvent(type, data) {
+  emitToRoles(EVENT_AUDIENCES[type] || SOCKET_ROLES, type, data);
+
+  const event = { id: ++lastEventId, type, data };
+  eventBuffer.push(event);
+  if (eventBuffer.length > SSE_BUFFER_SIZE) {
+    eventBuffer.shift();
+  }
+
+  sseClients.forEach(client => writeSseEvent(client, event));
+}
+
+// The stream's key is looked up again before each write, so a key that is revoked, expires
+// or loses the state:read scope stops receiving events. Returns the current key record, or
+// null after closing the stream.
+function checkSseKey(client) {
+  const keyRecord = findApiKeyById(client.keyId);
+  if (keyRecord && getKeyStatus(keyRecord) === 'active' && keyHasScope(keyRecord, 'state:read')) {
+    return keyRecord;
+  }
+
+  console.warn(`[AUTH] Closing SSE stream: key ${client.keyId} is no longer valid for state:read`);
+  sseClients.delete(client);
+  client.res.end();
+  return null;
+}
+
+function writeSseEvent(client, event) {
+  if (client.types && !client.types.includes(event.type)) return;
+
+  const keyRecord = checkSseKey(client);
+  if (!keyRecord) return;
+
+  // SSE clients count as observers, or as admins while their key has the admin scope
+  const role = keyHasScope(keyRecord, 'admin') ? 'admin' : 'observer';
+  if (!(EVENT_AUDIENCES[event.type] || SOCKET_ROLES).includes(role)) return;
+  client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Keep idle SSE connections open through proxies
+setInterval(() => {
+  sseClients.forEach(client => {
+    if (checkSseKey(client)) {
+      client.res.write(': heartbeat\n\n');
+    }
+  });
+}, SSE_HEARTBEAT_INTERVAL).unref();
+
+// Outgoing webhooks, managed through /api/admin/webhooks and stored in the data directory
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_EVENTS = [
+  'video.started',
+  'video.ended',
+  'queue.empty',
+  'title.changed',
+  'volume.changed',
+  'device.connected',
+  'device.disconnected',
+  'auth.failed'
+];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_DELAY = 2000;  // Doubled after every failed attempt
+const WEBHOOK_TIMEOUT = 5000;
+const MAX_WEBHOOK_DELIVERIES = 200;
+
+let webhooks = readJsonFile(WEBHOOKS_FILE) || [];
+const webhookDeliveries = [];  // Most recent deliveries across all webhooks, oldest first
+
+function saveWebhooks() {
+  try {
+    writeJsonFileAtomic(WEBHOOKS_FILE, webhooks);
+    return true;
+  } catch (error) {
+    console.error('Error saving webhooks file:', error.message);
+    return false;
+  }
+}
+
+// Webhook as returned by the admin API (the secret is only shown when it is created)
+function getWebhookSummary(webhook) {
+  const { secret, ...summary } = webhook;
+  return summary;
+}
+
+// Validate webhook fields from a create (all required) or update (all optional) request
+function validateWebhookInput(body, isUpdate) {
+  const { url, events, enabled, description, secret } = body || {};
+
+  if (url !== undefined || !isUpdate) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http or https URL';
+    }
+  }
+  if (events !== undefined || !isUpdate) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be a boolean';
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+    return 'description must be a string of at most 200 characters';
+  }
+  if (secret !== undefined && (isUpdate || typeof secret !== 'string' || secret.length < 16)) {
+    return isUpdate ? 'secret cannot be changed' : 'secret must be a string of at least 16 characters';
+  }
+  return null;
+}
+
+// Signature sent in X-Liveboard-Signature: HMAC-SHA256 of "<timestamp>.<body>"
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Send an event to every enabled webhook subscribed to it
+function fireWebhooks(event, data) {
+  webhooks
+    .filter(webhook => webhook.enabled && webhook.events.includes(event))
+    .forEach(webhook => deliverWebhook(webhook, event, data));
+}
+
+function deliverWebhook(webhook, event, data) {
+  const delivery = {
+    id: crypto.randomBytes(8).toString('hex'),
+    webhookId: webhook.id,
+    event,
+    status: 'pending',  // pending, succeeded, failed
+    attempts: [],
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+
+  webhookDeliveries.push(delivery);
+  if (webhookDeliveries.length > MAX_WEBHOOK_DELIVERIES) {
+    webhookDeliveries.shift();
+  }
+
+  const body = JSON.stringify({ id: delivery.id, event, timestamp: delivery.createdAt, data });
+  attemptWebhookDelivery(webhook, delivery, body);
+  return delivery;
+}
+
+// POST a delivery, retrying network errors, timeouts, 408, 429 and 5xx responses with exponential backoff
+async function attemptWebhookDelivery(webhook, delivery, body) {
+  if (!webhooks.some(w => w.id === webhook.id)) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const attempt = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+  const startedAt = Date.now();
+  let retryable = true;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Liveboard-Webhooks',
+        'X-Liveboard-Event': delivery.event,
+        'X-Liveboard-Delivery': delivery.id,
+        'X-Liveboard-Timestamp': timestamp,
+        'X-Liveboard-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+
+    attempt.statusCode = response.status;
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status}`;
+      retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    }
+    if (response.body) {
+      response.body.cancel().catch(() => {});
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT}ms` : (error.cause && error.cause.message) || error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+    delivery.completedAt = new Date().toISOString();
+    return;
+  }
+
+  if (retryable && delivery.attempts.length < WEBHOOK_MAX_ATTEMPTS) {
+    const delay = WEBHOOK_RETRY_DELAY * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => attemptWebhookDelivery(webhook, delivery, body), delay);
+    return;
+  }
+
+  console.warn(`Webhook delivery ${delivery.id} (${delivery.event}) to ${webhook.url} failed after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+  delivery.status = 'failed';
+  delivery.nextAttemptAt = null;
+  delivery.completedAt = new Date().toISOString();
+}
+
+// Track API client activity
+let lastApiActivity = null;
+let apiClientActive = false;
+const API_TIMEOUT = 60000; // 60 seconds
+
+// Track dashboard state
+let dashboardState = {
+  volume: 100,  // Default volume
+  playbackStatus: 'stopped',  // playing, paused, stopped
+  currentVideoTitle: 'No video loaded'  // Current video title
+};
+
+// Detailed now-playing state reported by dashboards (not persisted, it goes stale on restart)
+let nowPlaying = {
+  currentTime: 0,  // Seconds into the video when reported
+  duration: 0,  // Video length in seconds, 0 when unknown
+  videoId: null,
+  videoUrl: null,
+  channel: null,  // Channel (author) name
+  muted: false,
+  theater: false,
+  fullscreen: false,
+  reportedBy: null,  // Name of the dashboard that sent the last report
+  reportedAt: null
+};
+
+// Apply a now_playing report from a dashboard, ignoring fields with invalid values
+function applyNowPlayingReport(report, client) {
+  const isSeconds = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (isSeconds(report.currentTime)) nowPlaying.currentTime = report.currentTime;
+  if (isSeconds(report.duration)) nowPlaying.duration = report.duration;
+  if (report.videoId === null || (typeof report.videoId === 'string' && /^[a-zA-Z0-9_-]{11}$/.test(report.videoId))) {
+    nowPlaying.videoId = report.videoId;
+  }
+  if (report.url === null || isValidYouTubeUrl(report.url)) nowPlaying.videoUrl = report.url;
+  if (report.channel === null || typeof report.channel === 'string') {
+    nowPlaying.channel = report.channel && report.channel.slice(0, 200);
+  }
+  ['muted', 'theater', 'fullscreen'].forEach(key => {
+    if (typeof report[key] === 'boolean') nowPlaying[key] = report[key];
+  });
+
+  nowPlaying.reportedBy = client ? client.name : null;
+  nowPlaying.reportedAt = new Date().toISOString();
+}
+
+// Full playback state as returned by /api/state and the state-snapshot event.
+// Playlist context comes from the server's queue, which is authoritative.
+function getStateSnapshot() {
+  return {
+    volume: dashboardState.volume,
+    playbackStatus: dashboardState.playbackStatus,
+    currentVideoTitle: dashboardState.currentVideoTitle,
+    ...nowPlaying,
+    playlistIndex: playlistState.currentIndex,
+    playlistLength: playlistState.items.length
+  };
+}
+
+function broadcastStateSnapshot() {
+  publishEvent('state-snapshot', {
+    state: getStateSnapshot(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Set the shared volume for a command sent to all dashboards (source: api, command or schedule)
+function setSharedVolume(level, source) {
+  dashboardState.volume = level;
+  schedulePersist();
+  broadcastStateSnapshot();
+  fireWebhooks('volume.changed', { volume: level, source });
+}
+
+// Server-authoritative playlist shared by all dashboards
+let playlistState = {
+  items: [],  // { id, url, videoId, title, author, thumbnail, addedAt }
+  currentIndex: -1  // Cursor into items, -1 when nothing is selected
+};
+
+// Get the playlist in the shape sent to dashboards and API clients
+function getPlaylistSnapshot() {
+  const currentItem = playlistState.items[playlistState.currentIndex] || null;
+  return {
+    items: playlistState.items,
+    currentIndex: playlistState.currentIndex,
+    currentItemId: currentItem ? currentItem.id : null,
+    length: playlistState.items.length
+  };
+}
+
+// Push the playlist to every connected client
+function broadcastPlaylist() {
+  publishEvent('playlist-updated', {
+    ...getPlaylistSnapshot(),
+    timestamp: new Date().toISOString()
+  });
+  broadcastStateSnapshot();
+  schedulePersist();
+}
+
+// Fetch video metadata from YouTube oEmbed (no API key required)
+async function fetchVideoMetadata(videoId) {
+  try {
+    const response = await fetch(`https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`);
+
+    if (!response.ok) {
+      throw new Error(`oEmbed request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      title: data.title || null,
+      author: data.author_name || null,
+      thumbnail: data.thumbnail_url || null
+    };
+  } catch (error) {
+    console.warn(`Could not fetch metadata for ${videoId}:`, error.message);
+    return null;
+  }
+}
+
+// Build a playlist item; the title is a placeholder until metadata arrives
+function createPlaylistItem(url, title) {
+  return {
+    id: crypto.randomBytes(8).toString('hex'),
+    url,
+    videoId: extractVideoId(url),
+    title: title || 'YouTube Video',
+    author: null,
+    thumbnail: null,
+    addedAt: new Date().toISOString()
+  };
+}
+
+// The same video right next to the insertion point, if any. Only adjacent copies count as
+// duplicates (e.g. a request sent twice); a video can still be queued again further on.
+function findAdjacentDuplicate(items, index, videoId) {
+  return [items[index - 1], items[index]].find(item => item && item.videoId === videoId) || null;
+}
+
+// Add a video to the playlist at the given position (end of list by default)
+function addPlaylistItem(url, position) {
+  const items = playlistState.items;
+  const index = typeof position === 'number'
+    ? Math.max(0, Math.min(position, items.length))
+    : items.length;
+
+  const existing = findAdjacentDuplicate(items, index, extractVideoId(url));
+  if (existing) {
+    return { item: existing, duplicate: true };
+  }
+
+  const item = createPlaylistItem(url);
+  const videoId = item.videoId;
+
+  items.splice(index, 0, item);
+
+  // Keep the cursor on the same video, or select the first video added
+  if (playlistState.currentIndex >= index) {
+    playlistState.currentIndex++;
+  } else if (playlistState.currentIndex === -1 && items.length === 1) {
+    playlistState.currentIndex = 0;
+  }
+
+  broadcastPlaylist();
+
+  // Fill in title, channel and thumbnail in the background
+  fetchVideoMetadata(videoId).then(metadata => {
+    if (!metadata || !playlistState.items.includes(item)) return;
+    item.title = metadata.title || item.title;
+    item.author = metadata.author;
+    item.thumbnail = metadata.thumbnail;
+    broadcastPlaylist();
+  });
+
+  return { item, duplicate: false };
+}
+
+// How many metadata lookups a batch add runs at once
+const METADATA_FETCH_CONCURRENCY = 4;
+
+// Add several videos as one change, for imports: the playlist is broadcast and saved once.
+// Entries keep their own titles; only entries without one are looked up, a few at a time,
+// with a single broadcast when the lookups are done. Replace drops the current items first.
+function addPlaylistItems(entries, { replace = false } = {}) {
+  const hadItems = playlistState.items.length > 0;
+  if (replace) {
+    playlistState.items = [];
+    playlistState.currentIndex = -1;
+  }
+
+  const added = [];
+  let duplicates = 0;
+  entries.forEach(entry => {
+    if (findAdjacentDuplicate(playlistState.items, playlistState.items.length, extractVideoId(entry.url))) {
+      duplicates++;
+      return;
+    }
+    const item = createPlaylistItem(entry.url, entry.title);
+    playlistState.items.push(item);
+    added.push(item);
+  });
+
+  if (playlistState.currentIndex === -1 && playlistState.items.length > 0) {
+    playlistState.currentIndex = 0;
+  }
+
+  if (added.length > 0 || replace) {
+    broadcastPlaylist();
+  }
+  if (replace && hadItems && playlistState.items.length === 0) {
+    fireWebhooks('queue.empty', { reason: 'replaced' });
+  }
+
+  const pending = added.filter(item => item.title === 'YouTube Video');
+  if (pending.length > 0) {
+    const lookUpNext = async () => {
+      for (let item = pending.shift(); item; item = pending.shift()) {
+        const metadata = await fetchVideoMetadata(item.videoId);
+        if (metadata && playlistState.items.includes(item)) {
+          item.title = metadata.title || item.title;
+          item.author = metadata.author;
+          item.thumbnail = metadata.thumbnail;
+        }
+      }
+    };
+    Promise.all(Array.from({ length: Math.min(METADATA_FETCH_CONCURRENCY, pending.length) }, lookUpNext))
+      .then(() => broadcastPlaylist());
+  }
+
+  return { added, duplicates };
+}
+
+// Remove a video from the playlist by item ID
+function removePlaylistItem(itemId) {
+  const index = playlistState.items.findIndex(item => item.id === itemId);
+  if (index === -1) return null;
+
+  const [removed] = playlistState.items.splice(index, 1);
+
+  if (index === playlistState.currentIndex) {
+    playlistState.currentIndex = -1;
+  } else if (index < playlistState.currentIndex) {
+    playlistState.currentIndex--;
+  }
+
+  broadcastPlaylist();
+  if (playlistState.items.length === 0) {
+    fireWebhooks('queue.empty', { reason: 'removed' });
+  }
+  return removed;
+}
+
+// Move a video to a new position, keeping the cursor on the current video
+function movePlaylistItem(itemId, position) {
+  const items = playlistState.items;
+  const index = items.findIndex(item => item.id === itemId);
+  if (index === -1) return null;
+
+  const currentItem = items[playlistState.currentIndex] || null;
+  const [item] = items.splice(index, 1);
+  const newIndex = Math.max(0, Math.min(position, items.length));
+  items.splice(newIndex, 0, item);
+
+  if (currentItem) {
+    playlistState.currentIndex = items.indexOf(currentItem);
+  }
+
+  broadcastPlaylist();
+  return { item, index: newIndex };
+}
+
+// Remove every video from the playlist
+function clearPlaylistItems() {
+  const hadItems = playlistState.items.length > 0;
+  playlistState.items = [];
+  playlistState.currentIndex = -1;
+  broadcastPlaylist();
+  if (hadItems) {
+    fireWebhooks('queue.empty', { reason: 'cleared' });
+  }
+}
+
+// Move the cursor to a specific item
+function selectPlaylistItem(itemId) {
+  const index = playlistState.items.findIndex(item => item.id === itemId);
+  if (index === -1) return null;
+
+  playlistState.currentIndex = index;
+  broadcastPlaylist();
+  return playlistState.items[index];
+}
+
+// Move the cursor forward (1) or backward (-1), wrapping around the ends
+function stepPlaylist(direction) {
+  const length = playlistState.items.length;
+  if (length === 0) return null;
+
+  const current = playlistState.currentIndex;
+  let index;
+  if (direction > 0) {
+    index = (current + 1) % length;
+  } else {
+    index = current - 1 < 0 ? length - 1 : current - 1;
+  }
+
+  playlistState.currentIndex = index;
+  broadcastPlaylist();
+  return playlistState.items[index];
+}
+
+// Tell dashboards to play the given playlist item (all dashboards by default)
+function playPlaylistItem(item, resolvedTarget = resolveTarget()) {
+  console.log(`Playing playlist item on ${resolvedTarget.label}: ${item.url}`);
+  return dispatchCommand(resolvedTarget, 'play-video-now', { url: item.url, itemId: item.id });
+}
+
+// Validate a playlist position from a request body
+function isValidPlaylistPosition(position) {
+  return Number.isInteger(position) && position >= 0;
+}
+
+// Every dashboard reports the same video starting and ending. Webhooks and history only take
+// the first report of each: a start counts once per play sent to the dashboards (and video),
+// an end once per start. A video started on a dashboard itself is only reported by that
+// dashboard, so each such report counts as a new play.
+let playGeneration = 0;  // Bumped whenever a video is sent to the dashboards or started on one
+let lastStartedKey = 'none';
+let lastEndedKey = null;
+
+// Whether this is the first report of the video starting since it was last sent to the dashboards
+function claimVideoStart(url, startedLocally) {
+  if (startedLocally) {
+    playGeneration++;
+  }
+  const key = `${playGeneration}:${extractVideoId(url)}`;
+  if (key === lastStartedKey) return false;
+  lastStartedKey = key;
+  return true;
+}
+
+// Whether this is the first report of the last started video ending
+function claimVideoEnd() {
+  if (lastEndedKey === lastStartedKey) return false;
+  lastEndedKey = lastStartedKey;
+  return true;
+}
+
+// Recently played videos, newest first
+let playHistory = [];  // { url, videoId, title, playedAt }
+const MAX_HISTORY = 50;
+
+// Record a played video, moving it to the top if it was played before
+function recordHistory(url, title) {
+  playHistory = playHistory.filter(entry => entry.url !== url);
+  playHistory.unshift({
+    url,
+    videoId: extractVideoId(url),
+    title,
+    playedAt: new Date().toISOString()
+  });
+  playHistory = playHistory.slice(0, MAX_HISTORY);
+
+  publishEvent('history-updated', { history: playHistory });
+  schedulePersist();
+}
+
+// Clear the play history
+function clearHistory() {
+  playHistory = [];
+  publishEvent('history-updated', { history: playHistory });
+  schedulePersist();
+}
+
+// Playlist and history import/export (JSON, extended M3U and plain URL lists)
+const PLAYLIST_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  m3u: { contentType: 'audio/x-mpegurl', extension: 'm3u' },
+  txt: { contentType: 'text/plain', extension: 'txt' }
+};
+const MAX_IMPORT_ENTRIES = 200;
+const MAX_IMPORT_BYTES = 256 * 1024;
+
+// Serialize the playlist, the history or (JSON only) both
+function exportPlaylist(format, source) {
+  const entries = source === 'history'
+    ? playHistory.map(entry => ({ url: entry.url, title: entry.title }))
+    : playlistState.items.map(item => ({ url: item.url, title: item.title }));
+
+  if (format === 'json') {
+    const data = { version: 1, exportedAt: new Date().toISOString() };
+    if (source !== 'history') {
+      data.playlist = playlistState.items.map(item => ({ url: item.url, title: item.title, author: item.author }));
+    }
+    if (source !== 'playlist') {
+      data.history = playHistory.map(entry => ({ url: entry.url, title: entry.title, playedAt: entry.playedAt }));
+    }
+    return JSON.stringify(data, null, 2);
+  }
+
+  if (format === 'm3u') {
+    const lines = ['#EXTM3U'];
+    entries.forEach(entry => {
+      // Titles cannot span lines in M3U
+      lines.push(`#EXTINF:-1,${String(entry.title || '').replace(/[\r\n]+/g, ' ')}`, entry.url);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return entries.map(entry => entry.url).join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+// Guess the format of an import from its content
+function detectImportFormat(content) {
+  const start = content.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (start.startsWith('#EXTM3U')) return 'm3u';
+  return 'txt';
+}
+
+// Parse imported content into playlist and history entries, collecting rejected lines
+function parsePlaylistImport(content, format) {
+  const result = { playlist: [], history: [], rejected: [] };
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+
+    // A bare array is a playlist; an object may hold a playlist and a history
+    const sections = Array.isArray(data) ? { playlist: data } : data;
+    if (!sections || typeof sections !== 'object') {
+      return { error: 'JSON import must be an array of URLs or an object with playlist and/or history arrays' };
+    }
+
+    ['playlist', 'history'].forEach(section => {
+      if (!Array.isArray(sections[section])) return;
+      sections[section].forEach((entry, index) => {
+        const url = typeof entry === 'string' ? entry : entry && entry.url;
+        const title = entry && typeof entry.title === 'string' ? entry.title.slice(0, 200) : null;
+        const location = { entry: `${section}[${index}]`, value: typeof url === 'string' ? url.slice(0, 200) : null };
+
+        if (!isValidYouTubeUrl(url)) {
+          result.rejected.push({ ...location, reason: 'Invalid YouTube URL' });
+        } else if (section === 'history') {
+          const playedAt = entry && entry.playedAt ? new Date(entry.playedAt) : null;
+          if (!playedAt || isNaN(playedAt.getTime())) {
+            result.rejected.push({ ...location, reason: 'Missing or invalid playedAt' });
+          } else {
+            result.history.push({ url, title: title || 'YouTube Video', playedAt: playedAt.toISOString() });
+          }
+        } else {
+          result.playlist.push({ url, title });
+        }
+      });
+    });
+
+    return result;
+  }
+
+  // M3U and plain text: one URL per line, M3U titles come from the preceding #EXTINF line
+  let pendingTitle = null;
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      if (format === 'm3u' && line.startsWith('#EXTINF:')) {
+        const comma = line.indexOf(',');
+        pendingTitle = comma !== -1 ? line.slice(comma + 1).trim().slice(0, 200) || null : null;
+      }
+      return;
+    }
+
+    if (isValidYouTubeUrl(line)) {
+      result.playlist.push({ url: line, title: pendingTitle });
+    } else {
+      result.rejected.push({ line: index + 1, value: line.slice(0, 200), reason: 'Invalid YouTube URL' });
+    }
+    pendingTitle = null;
+  });
+
+  return result;
+}
+
+// Import parsed content into the playlist (append or replace) and merge any history entries
+function importPlaylist(content, format, mode) {
+  const resolvedFormat = format || detectImportFormat(content);
+  const parsed = parsePlaylistImport(content, resolvedFormat);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  if (parsed.playlist.length + parsed.history.length > MAX_IMPORT_ENTRIES) {
+    return { error: `Imports are limited to ${MAX_IMPORT_ENTRIES} entries` };
+  }
+
+  const report = {
+    format: resolvedFormat,
+    mode,
+    added: 0,
+    duplicates: 0,
+    historyImported: 0,
+    rejected: parsed.rejected
+  };
+
+  if (parsed.playlist.length > 0) {
+    const { added, duplicates } = addPlaylistItems(parsed.playlist, { replace: mode === 'replace' });
+    report.added = added.length;
+    report.duplicates = duplicates;
+  }
+
+  // Imported history only fills in videos that are not already in the history
+  const known = new Set(playHistory.map(entry => entry.url));
+  const newHistory = parsed.history.filter(entry => !known.has(entry.url) && known.add(entry.url));
+  if (newHistory.length > 0) {
+    playHistory = [...playHistory, ...newHistory.map(entry => ({ ...entry, videoId: extractVideoId(entry.url) }))]
+      .sort((a, b) => Date.parse(b.playedAt) - Date.parse(a.playedAt))
+      .slice(0, MAX_HISTORY);
+    report.historyImported = newHistory.length;
+    publishEvent('history-updated', { history: playHistory });
+    schedulePersist();
+  }
+
+  console.log(`Imported ${resolvedFormat} playlist (${mode}): ${report.added} added, ${report.duplicates} duplicates, ${report.historyImported} history entries, ${report.rejected.length} rejected`);
+  return { report };
+}
+
+// Persistence of dashboard state, playlist and history
+let persistTimer = null;
+const PERSIST_DELAY = 1000; // Coalesce bursts of changes into one write
+
+// Write a snapshot of the current state to disk immediately
+function persistState() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+
+  try {
+    writeJsonFileAtomic(STATE_FILE, {
+      savedAt: new Date().toISOString(),
+      dashboardState,
+      playlist: playlistState,
+      history: playHistory,
+      deviceGroups,
+      dashboardGroups: legacyDashboardGroups
+    });
+    return true;
+  } catch (error) {
+    console.error('Error saving state file:', error.message);
+    return false;
+  }
+}
+
+// Schedule a snapshot write shortly after a change
+function schedulePersist() {
+  if (!persistTimer) {
+    persistTimer = setTimeout(persistState, PERSIST_DELAY);
+  }
+}
+
+// Restore state saved by a previous run
+function restoreState() {
+  const saved = readJsonFile(STATE_FILE);
+  if (!saved) return;
+
+  if (saved.dashboardState) {
+    const { volume, playbackStatus, currentVideoTitle } = saved.dashboardState;
+    if (typeof volume === 'number' && volume >= 0 && volume <= 100) {
+      dashboardState.volume = volume;
+    }
+    if (['playing', 'paused', 'stopped'].includes(playbackStatus)) {
+      dashboardState.playbackStatus = playbackStatus;
+    }
+    if (typeof currentVideoTitle === 'string') {
+      dashboardState.currentVideoTitle = currentVideoTitle;
+    }
+  }
+
+  if (saved.playlist && Array.isArray(saved.playlist.items)) {
+    const items = saved.playlist.items.filter(item => item && item.id && isValidYouTubeUrl(item.url));
+    const currentIndex = Number.isInteger(saved.playlist.currentIndex) ? saved.playlist.currentIndex : -1;
+    playlistState = {
+      items,
+      currentIndex: currentIndex < items.length ? currentIndex : -1
+    };
+  }
+
+  if (Array.isArray(saved.history)) {
+    playHistory = saved.history
+      .filter(entry => entry && isValidYouTubeUrl(entry.url))
+      .slice(0, MAX_HISTORY);
+  }
+
+  if (saved.deviceGroups && typeof saved.deviceGroups === 'object') {
+    Object.entries(saved.deviceGroups).forEach(([deviceId, groups]) => {
+      if (isValidDeviceId(deviceId) && Array.isArray(groups)) {
+        deviceGroups[deviceId] = groups.filter(isValidGroupName);
+      }
+    });
+  }
+
+  if (saved.dashboardGroups && typeof saved.dashboardGroups === 'object') {
+    Object.entries(saved.dashboardGroups).forEach(([name, groups]) => {
+      if (Array.isArray(groups)) {
+        legacyDashboardGroups[name] = groups.filter(isValidGroupName);
+      }
+    });
+  }
+
+  console.log(`Restored state from ${STATE_FILE} (saved ${saved.savedAt}): ${playlistState.items.length} playlist items, ${playHistory.length} history entries`);
+}
+
+// Scheduled playback: one-off (ISO time) or recurring (cron) actions, stored in the data directory
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const SCHEDULE_ACTIONS = ['play', 'enqueue', 'stop', 'volume', 'fullscreen'];
+const SCHEDULE_GRACE_PERIOD = 60 * 1000;  // Runs missed by less than this (e.g. a quick restart) still happen
+const SCHEDULE_TIMER_MAX_DELAY = 60 * 1000;  // Re-check at least once a minute
+const MAX_MISSED_JOBS = 100;
+const MAX_MISSED_RUNS_COUNTED = 1000;  // Missed cron runs counted per schedule at startup; beyond this the count is capped
+const MAX_SCHEDULES = parseInt(process.env.MAX_SCHEDULES, 10) || 200;  // Active schedules in total
+const MAX_SCHEDULES_PER_KEY = parseInt(process.env.MAX_SCHEDULES_PER_KEY, 10) || 50;
+const MAX_ENQUEUE_URLS = 50;
+
+let schedules = [];
+let missedJobs = [];  // Runs skipped while the server was down, oldest first
+let scheduleTimer = null;
+
+// Parse one cron field ("*", "5", "1-5", "*/15", "10-50/10" or a comma-separated list of these)
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return null;
+
+    const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+    let start = min;
+    let end = max;
+    if (!match[1]) {
+      start = parseInt(match[2], 10);
+      if (match[3] !== undefined) {
+        end = parseInt(match[3], 10);
+      } else if (match[4] === undefined) {
+        end = start;
+      }
+    }
+
+    if (start < min || end > max || start > end || step < 1) return null;
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse a standard 5-field cron expression (minute hour day-of-month month day-of-week)
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string') return null;
+
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, ...ranges[i]));
+  if (!minutes || !hours || !daysOfMonth || !months || !daysOfWeek) return null;
+
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+// As in cron, a day matches either day field when both are restricted
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dayOfMonth || dayOfWeek;
+  if (!cron.anyDayOfMonth) return dayOfMonth;
+  if (!cron.anyDayOfWeek) return dayOfWeek;
+  return true;
+}
+
+// Next minute after `after` matching the cron expression (server local time), or null if none within 5 years
+function getNextCronRun(cron, after) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+function saveSchedules() {
+  try {
+    writeJsonFileAtomic(SCHEDULES_FILE, { schedules, missedJobs });
+    return true;
+  } catch (error) {
+    console.error('Error saving schedules file:', error.message);
+    return false;
+  }
+}
+
+// Validate a POST /api/schedule body, returning { schedule } or { error }
+function parseScheduleRequest(body) {
+  const { name, at, cron, action, url, urls, level, startPlaying, target } = body || {};
+
+  if ((at === undefined) === (cron === undefined)) {
+    return { error: 'Provide exactly one of at (ISO time) or cron' };
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+    return { error: 'name must be a string of at most 100 characters' };
+  }
+  if (target !== undefined && (typeof target !== 'string' || target.length > 100)) {
+    return { error: 'target must be a dashboard ID, dashboard name or group name' };
+  }
+
+  let nextRun;
+  if (at !== undefined) {
+    nextRun = typeof at === 'string' ? new Date(at) : new Date(NaN);
+    if (isNaN(nextRun.getTime())) {
+      return { error: 'at must be an ISO 8601 date and time' };
+    }
+    if (nextRun.getTime() <= Date.now()) {
+      return { error: 'at must be in the future' };
+    }
+  } else {
+    const parsed = parseCronExpression(cron);
+    if (!parsed) {
+      return { error: 'cron must be a 5-field cron expression (minute hour day-of-month month day-of-week)' };
+    }
+    nextRun = getNextCronRun(parsed, new Date());
+    if (!nextRun) {
+      return { error: 'cron expression never matches' };
+    }
+  }
+
+  const schedule = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: name ? name.trim() : '',
+    at: at !== undefined ? nextRun.toISOString() : null,
+    cron: cron !== undefined ? cron.trim() : null,
+    action,
+    target: target || null,
+    status: 'active',  // active, completed or missed (one-off schedules only leave active)
+    nextRunAt: nextRun.toISOString(),
+    lastRunAt: null,
+    lastResult: null,
+    createdAt: new Date().toISOString()
+  };
+
+  switch (action) {
+    case 'play':
+      if (!isValidYouTubeUrl(url)) {
+        return { error: 'play requires a valid YouTube url' };
+      }
+      schedule.url = url;
+      break;
+
+    case 'enqueue':
+      if (!Array.isArray(urls) || urls.length === 0 || urls.length > MAX_ENQUEUE_URLS || !urls.every(isValidYouTubeUrl)) {
+        return { error: `enqueue requires urls, an array of 1-${MAX_ENQUEUE_URLS} valid YouTube URLs` };
+      }
+      if (startPlaying !== undefined && typeof startPlaying !== 'boolean') {
+        return { error: 'startPlaying must be a boolean' };
+      }
+      schedule.urls = urls;
+      schedule.startPlaying = startPlaying === true;
+      break;
+
+    case 'volume':
+      if (typeof level !== 'number' || level < 0 || level > 100) {
+        return { error: 'volume requires a level between 0 and 100' };
+      }
+      schedule.level = level;
+      break;
+
+    case 'stop':
+    case 'fullscreen':
+      break;
+
+    default:
+      return { error: `action must be one of: ${SCHEDULE_ACTIONS.join(', ')}` };
+  }
+
+  return { schedule };
+}
+
+// Carry out a schedule's action, returning the dispatch outcome (null if nothing was sent to dashboards)
+async function executeScheduledAction(schedule) {
+  const target = resolveTarget(schedule.target);
+  if (target.error) {
+    throw new Error(target.error);
+  }
+
+  switch (schedule.action) {
+    case 'play':
+      return dispatchCommand(target, 'play-video-now', { url: schedule.url });
+
+    case 'enqueue': {
+      const items = schedule.urls.map(url => addPlaylistItem(url).item);
+      if (!schedule.startPlaying) return null;
+      selectPlaylistItem(items[0].id);
+      return playPlaylistItem(items[0], target);
+    }
+
+    case 'volume':
+      if (target.broadcast) {
+        setSharedVolume(schedule.level, 'schedule');
+      }
+      return dispatchCommand(target, 'control-volume', { level: schedule.level });
+
+    case 'stop':
+      return dispatchCommand(target, 'control-stop');
+
+    case 'fullscreen':
+      return dispatchCommand(target, 'control-fullscreen');
+  }
+  return null;
+}
+
+async function runSchedule(schedule) {
+  const scheduledFor = schedule.nextRunAt;
+
+  // Work out the next run before executing so a slow action cannot run twice
+  if (schedule.cron) {
+    const next = getNextCronRun(parseCronExpression(schedule.cron), new Date());
+    schedule.nextRunAt = next ? next.toISOString() : null;
+  } else {
+    schedule.nextRunAt = null;
+    schedule.status = 'completed';
+  }
+  schedule.lastRunAt = new Date().toISOString();
+
+  console.log(`Running schedule ${schedule.id}${schedule.name ? ` (${schedule.name})` : ''}: ${schedule.action}, due ${scheduledFor}`);
+
+  try {
+    const outcome = await executeScheduledAction(schedule);
+    if (outcome && outcome.summary.applied === 0) {
+      schedule.lastResult = {
+        status: 'error',
+        error: outcome.summary.total === 0 ? 'No dashboards connected' : 'No dashboard applied the command',
+        summary: outcome.summary
+      };
+    } else {
+      schedule.lastResult = { status: 'ok', summary: outcome ? outcome.summary : null };
+    }
+  } catch (error) {
+    console.error(`Schedule ${schedule.id} failed:`, error.message);
+    schedule.lastResult = { status: 'error', error: error.message, summary: null };
+  }
+
+  saveSchedules();
+}
+
+// Run every schedule that is due, then wait for the next one
+function runDueSchedules() {
+  const now = Date.now();
+  schedules
+    .filter(schedule => schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now)
+    .forEach(schedule => runSchedule(schedule));
+  armScheduleTimer();
+}
+
+function armScheduleTimer() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+
+  const dueTimes = schedules
+    .filter(schedule => schedule.nextRunAt)
+    .map(schedule => Date.parse(schedule.nextRunAt));
+  if (dueTimes.length === 0) return;
+
+  const delay = Math.max(0, Math.min(Math.min(...dueTimes) - Date.now(), SCHEDULE_TIMER_MAX_DELAY));
+  scheduleTimer = setTimeout(runDueSchedules, delay);
+}
+
+// Record a run that was skipped because the server was down
+function recordMissedJob(schedule, scheduledFor, count, countCapped = false) {
+  missedJobs.push({
+    scheduleId: schedule.id,
+    name: schedule.name,
+    action: schedule.action,
+    scheduledFor,
+    count,
+    countCapped,
+    detectedAt: new Date().toISOString()
+  });
+  if (missedJobs.length > MAX_MISSED_JOBS) {
+    missedJobs.shift();
+  }
+  console.warn(`Missed ${count}${countCapped ? '+' : ''} run(s) of schedule ${schedule.id}${schedule.name ? ` (${schedule.name})` : ''} due from ${scheduledFor} while the server was down`);
+}
+
+// Load schedules and report runs missed while the server was down
+function restoreSchedules() {
+  const saved = readJsonFile(SCHEDULES_FILE);
+  if (saved) {
+    schedules = Array.isArray(saved.schedules) ? saved.schedules.filter(schedule => schedule && schedule.id && SCHEDULE_ACTIONS.includes(schedule.action)) : [];
+    missedJobs = Array.isArray(saved.missedJobs) ? saved.missedJobs : [];
+  }
+
+  const now = new Date();
+  let missedAny = false;
+
+  schedules.forEach(schedule => {
+    if (!schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now.getTime() - SCHEDULE_GRACE_PERIOD) return;
+
+    missedAny = true;
+    if (schedule.cron) {
+      // Count the missed runs, up to a limit so a frequent cron after a long downtime
+      // cannot hold up startup; past the limit, skip straight to the next run after now
+      const cron = parseCronExpression(schedule.cron);
+      let count = 0;
+      let next = new Date(schedule.nextRunAt);
+      while (next && next <= now && count < MAX_MISSED_RUNS_COUNTED) {
+        count++;
+        next = getNextCronRun(cron, next);
+      }
+      const countCapped = !!next && next <= now;
+      if (countCapped) {
+        next = getNextCronRun(cron, now);
+      }
+      recordMissedJob(schedule, schedule.nextRunAt, count, countCapped);
+      schedule.nextRunAt = next ? next.toISOString() : null;
+    } else {
+      recordMissedJob(schedule, schedule.nextRunAt, 1);
+      schedule.nextRunAt = null;
+      schedule.status = 'missed';
+    }
+  });
+
+  if (missedAny) {
+    saveSchedules();
+  }
+  if (schedules.length > 0) {
+    console.log(`Restored ${schedules.length} schedule(s) from ${SCHEDULES_FILE}`);
+  }
+  armScheduleTimer();
+}
+
+// Function to update API client activity
+function updateApiActivity() {
+  lastApiActivity = Date.now();
+  if (!apiClientActive) {
+    apiClientActive = true;
+    publishEvent('api-client-status', { active: true });
+    console.log('API client is now active');
+  }
+}
+
+// Check for API client inactivity
+setInterval(() => {
+  if (apiClientActive && lastApiActivity) {
+    const timeSinceLastActivity = Date.now() - lastApiActivity;
+    if (timeSinceLastActivity > API_TIMEOUT) {
+      apiClientActive = false;
+      publishEvent('api-client-status', { active: false });
+      console.log('API client became inactive');
+    }
+  }
+}, 10000); // Check every 10 seconds
+
+// API key sent by a socket in the handshake: the auth payload (io(url, { auth: { apiKey } }))
+// or, for clients that can only set headers, X-API-Key
+function getHandshakeApiKey(socket) {
+  const { auth, headers } = socket.handshake;
+  return (auth && typeof auth.apiKey === 'string' && auth.apiKey) || headers['x-api-key'] || null;
+}
+
+// Role requested in the handshake: the auth payload (io(url, { auth: { role } })) or an X-Client-Role header
+function getHandshakeRole(socket) {
+  const { auth, headers } = socket.handshake;
+  return (auth && typeof auth.role === 'string' && auth.role) || headers['x-client-role'] || null;
+}
+
+// Check the requested role against the socket's credentials and accept or refuse the connection.
+// Without a requested role, sockets with an API key are controllers and the rest are observers.
+// Dashboards prove which device they are with the token issued when they were enrolled.
+// A browser with an admin login is enrolled on the spot and sent its new token once connected.
+function authorizeDashboard(socket) {
+  const ip = socket.handshake.address;
+  const token = getHandshakeDeviceToken(socket);
+
+  if (token) {
+    if (getLockout(ip)) {
+      return { error: 'Too many invalid credentials from this IP', code: 'locked-out' };
+    }
+    const device = findDeviceByToken(token);
+    if (!device) {
+      recordAuthFailure(ip, 'Invalid device token');
+      recordAudit({
+        action: 'auth.device-token',
+        ip,
+        result: 'denied',
+        details: { reason: 'Invalid or revoked device token' }
+      });
+      return { error: 'Invalid or revoked device token', code: 'invalid-device-token' };
+    }
+    socket.data.deviceId = device.id;
+    return {};
+  }
+
+  const session = getAdminSession(socket.handshake);
+  if (session) {
+    const enrolled = enrollDevice(null, ip);
+    if (enrolled.error) {
+      return { error: enrolled.error, code: 'registry-full' };
+    }
+    recordAudit({
+      action: 'device.enrolled',
+      actor: { type: 'admin', id: 'admin', name: 'Admin' },
+      ip,
+      target: enrolled.device.id,
+      result: 'success',
+      details: { via: 'admin login' }
+    });
+    socket.data.deviceId = enrolled.device.id;
+    socket.data.deviceToken = enrolled.token;
+    return {};
+  }
+
+  if (ALLOW_UNENROLLED_DASHBOARDS) {
+    console.warn(`[AUTH] Accepted unenrolled dashboard from IP: ${ip} (ALLOW_UNENROLLED_DASHBOARDS is on)`);
+    socket.data.unenrolled = true;
+    return {};
+  }
+
+  return {
+    error: 'The dashboard role requires a device token. Log in as admin on this screen or open an enrollment link.',
+    code: 'enrollment-required'
+  };
+}
+
+function acceptSocketRole(socket, keyRecord, next) {
+  socket.data.keyId = keyRecord ? keyRecord.id : null;
+  const role = getHandshakeRole(socket) || (keyRecord ? 'controller' : 'observer');
+  let error = null;
+  let code = null;
+
+  if (!SOCKET_ROLES.includes(role)) {
+    error = `Unknown role "${String(role).substring(0, 50)}". Use one of: ${SOCKET_ROLES.join(', ')}`;
+    code = 'invalid-role';
+  } else if (role === 'controller' && !keyRecord) {
+    error = 'The controller role requires an API key';
+    code = 'auth-required';
+  } else if (role === 'admin' && !hasAdminAccess(socket)) {
+    error = 'The admin role requires an API key with the admin scope or an admin login';
+    code = 'forbidden-role';
+  } else if (role === 'dashboard') {
+    ({ error = null, code = null } = authorizeDashboard(socket));
+  }
+
+  if (error) {
+    console.warn(`[AUTH] Rejected socket connection (${error}) from IP: ${socket.handshake.address}`);
+    if (code === 'forbidden-role') {
+      recordAudit({
+        action: 'auth.socket-role',
+        actor: keyRecord
+          ? { type: 'key', id: keyRecord.id, name: keyRecord.name, prefix: keyRecord.prefix }
+          : { type: 'anonymous', id: null, name: null },
+        ip: socket.handshake.address,
+        target: role,
+        result: 'denied',
+        details: { reason: error }
+      });
+    }
+    const err = new Error(error);
+    err.data = { code };
+    return next(err);
+  }
+
+  socket.data.role = role;
+  next();
+}
+
+// Socket handshake authentication. Sockets with a valid key can send commands; sockets
+// without one can only act as an enrolled dashboard or receive state. Bad keys are refused outright,
+// and the requested role is checked last.
+io.use((socket, next) => {
+  const access = checkIpAccess(socket.handshake.address);
+  if (!access.allowed) {
+    const error = new Error(access.reason);
+    error.data = { code: 'ip-denied' };
+    return next(error);
+  }
+
+  const presentedKey = getHandshakeApiKey(socket);
+  if (!presentedKey) {
+    return acceptSocketRole(socket, null, next);
+  }
+
+  const lockedUntil = getLockout(socket.handshake.address);
+  if (lockedUntil) {
+    console.warn(`[AUTH] Rejected socket connection from locked-out IP: ${socket.handshake.address}`);
+    recordAudit({
+      action: 'auth.api-key',
+      ip: socket.handshake.address,
+      result: 'denied',
+      details: { command: 'socket handshake', reason: 'IP locked out' }
+    });
+    const error = new Error('Too many invalid API keys from this IP');
+    error.data = { code: 'locked-out', lockedUntil: new Date(lockedUntil).toISOString() };
+    return next(error);
+  }
+
+  const keyRecord = findApiKey(presentedKey);
+  const keyStatus = keyRecord ? getKeyStatus(keyRecord) : 'invalid';
+  const ip = socket.handshake.address;
+
+  if (keyStatus !== 'active') {
+    const reason = keyStatus === 'invalid' ? 'Invalid API key' : `${keyStatus === 'expired' ? 'Expired' : 'Revoked'} API key`;
+    console.warn(`[AUTH] Rejected socket connection (${reason}) from IP: ${ip}`);
+
+    publishEvent('auth-attempt', {
+      success: false,
+      reason,
+      ip,
+      timestamp: new Date().toISOString()
+    });
+    fireWebhooks('auth.failed', { reason, ip, path: 'socket.io' });
+    recordAudit({
+      action: 'auth.api-key',
+      actor: keyRecord
+        ? { type: 'key', id: keyRecord.id, name: keyRecord.name, prefix: keyRecord.prefix }
+        : { type: 'anonymous', id: null, name: null },
+      ip,
+      result: 'denied',
+      details: { command: 'socket handshake', reason, prefix: getKeyPrefix(presentedKey) }
+    });
+
+    if (keyStatus === 'invalid') {
+      recordAuthFailure(ip, reason);
+    }
+
+    const error = new Error(reason);
+    error.data = { keyStatus };
+    return next(error);
+  }
+
+  clearAuthFailures(ip);
+  console.log(`[AUTH] Authenticated socket from IP: ${ip}, Device: ${keyRecord.name}`);
+  recordAudit({
+    action: 'auth.api-key',
+    actor: { type: 'key', id: keyRecord.id, name: keyRecord.name, prefix: keyRecord.prefix },
+    ip,
+    details: { command: 'socket handshake' }
+  });
+  publishEvent('auth-attempt', {
+    success: true,
+    deviceName: keyRecord.name,
+    ip,
+    timestamp: new Date().toISOString()
+  });
+  acceptSocketRole(socket, keyRecord, next);
+});
+
+// WebSocket connection handling
+io.on('connection', (socket) => {
+  connectedClientsCount++;
+
+  // The role was checked in the handshake and does not change for the life of the socket
+  const role = socket.data.role;
+  socket.join(ROLE_ROOMS[role]);
+
+  // Dashboards opened in a browser with an admin login also get admin events
+  if (role === 'dashboard' && getAdminSession(socket.handshake)) {
+    socket.join(ROLE_ROOMS.admin);
+  }
+
+  // Registered devices are known by their persistent ID and keep their name from earlier visits
+  const deviceId = claimDeviceId(socket);
+  const device = deviceId ? registerDevice(deviceId, role, socket.handshake.address, role === 'dashboard' ? null : socket.data.keyId) : null;
+
+  // Each connection gets its own ID. Tabs of a registered device add their tab ID, and
+  // connections that would share an ID fall back to the socket ID.
+  const tabId = getHandshakeTabId(socket);
+  let connectionId = deviceId && tabId ? `${deviceId}:${tabId}` : (deviceId || socket.id);
+  if (connectedClients.some(c => c.id === connectionId)) {
+    connectionId = deviceId ? `${deviceId}:${socket.id}` : socket.id;
+  }
+
+  // Add client to the list with unknown name initially
+  const clientInfo = {
+    id: connectionId,
+    socketId: socket.id,
+    deviceId,
+    name: (device && device.name) || 'Unknown Device',
+    role,
+    type: role === 'dashboard' ? 'dashboard' : 'external',
+    ipAddress: socket.handshake.address,
+    connectedAt: new Date().toISOString()
+  };
+  connectedClients.push(clientInfo);
+
+  if (role === 'dashboard') {
+    joinDashboardRooms(socket, clientInfo);
+  }
+
+  // Set once the client identifies; device webhooks are only sent for identified clients
+  let identified = false;
+
+  // Key checked in the handshake (null for dashboards and read-only clients)
+  const presentedKey = getHandshakeApiKey(socket);
+
+  console.log(`New ${role} connected from ${socket.handshake.address}. ID: ${clientInfo.id}${deviceId ? ' (registered device)' : ''}. Total clients: ${connectedClientsCount}`);
+
+  // A dashboard enrolled during this handshake keeps its token for later connections
+  if (socket.data.deviceToken) {
+    socket.emit('device-enrolled', { id: deviceId, token: socket.data.deviceToken });
+    delete socket.data.deviceToken;
+  }
+
+  // Send current API client status to newly connected client
+  socket.emit('api-client-status', { active: apiClientActive });
+
+  // Send the current playlist, history and volume so the client can restore them
+  socket.emit('playlist-updated', {
+    ...getPlaylistSnapshot(),
+    timestamp: new Date().toISOString()
+  });
+  socket.emit('history-updated', { history: playHistory });
+  socket.emit('state-volume-changed', {
+    volume: dashboardState.volume,
+    timestamp: new Date().toISOString()
+  });
+  socket.emit('state-snapshot', {
+    state: getStateSnapshot(),
+    timestamp: new Date().toISOString()
+  });
+
+  // Send current connected clients list to dashboards and admins (filtered to external only)
+  publishConnectedClients();
+
+  // Playlist changes made from a dashboard are audited with the dashboard as the actor
+  const auditDashboardCommand = (command, result = 'success', target = null, details = {}) => {
+    const client = connectedClients.find(c => c.socketId === socket.id);
+    recordAudit({
+      action: 'command',
+      actor: { type: 'device', id: client ? client.id : socket.id, name: client ? client.name : 'Unknown Device' },
+      ip: socket.handshake.address,
+      target,
+      result,
+      details: { command: `socket ${command}`, ...details }
+    });
+  };
+
+  // Handle control discovery messages
+  socket.on('message', async (data) => {
+    try {
+      const message = JSON.parse(data);
+
+      // State reports from anything but a dashboard would overwrite the real dashboards' state
+      if (DASHBOARD_MESSAGES.includes(message.type) && role !== 'dashboard') {
+        console.warn(`Ignored ${message.type} from ${role} socket ${socket.id}`);
+        socket.emit('message-error', {
+          type: message.type,
+          error: `Only dashboards may send ${message.type}`,
+          code: 'forbidden-role',
+          role,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      // Playlist panel messages need the same scope as the matching REST route and count
+      // against the dashboard's own request and queue budgets
+      // Unenrolled dashboards (ALLOW_UNENROLLED_DASHBOARDS) get the default scopes and share a budget per IP
+      const messageScope = DASHBOARD_MESSAGE_SCOPES[message.type];
+      if (messageScope) {
+        const device = devices[socket.data.deviceId];
+        const limits = getKeyRateLimits(device);
+        const scopes = device ? getDeviceScopes(device) : (socket.data.unenrolled ? DEFAULT_DASHBOARD_SCOPES : []);
+        const limitKey = device ? `device:${device.id}` : `unenrolled:${socket.handshake.address}`;
+        let rejection = null;
+
+        if (!scopes.includes(messageScope)) {
+          rejection = { error: `This dashboard does not have the "${messageScope}" scope`, code: 'missing-scope', requiredScope: messageScope };
+        } else if (await isKeyLimitExceeded(keyRequestStore, limitKey, limits.requestsPerMinute)) {
+          rejection = { error: 'Too many requests from this dashboard, please slow down', code: 'rate-limited' };
+        } else if (message.type === 'playlist_add' && await isKeyLimitExceeded(keyQueueStore, limitKey, limits.queueAdditionsPerHour)) {
+          rejection = { error: 'This dashboard has reached its hourly queue limit', code: 'rate-limited' };
+        }
+
+        if (rejection) {
+          console.warn(`Rejected ${message.type} from dashboard ${socket.data.deviceId}: ${rejection.error}`);
+          auditDashboardCommand(message.type, 'denied', null, { code: rejection.code });
+          socket.emit('message-error', {
+            type: message.type,
+            ...rejection,
+            role,
+            timestamp: new Date().toISOString()
+          });
+          return;
+        }
+      }
+
+      if (message.type === 'get_controls') {
+        console.log('Control discovery request received');
+
+        // Update API client activity
+        updateApiActivity();
+
+        // Send control definitions with current state
+        const controlsResponse = {
+          type: 'controls',
+          playbackStatus: dashboardState.playbackStatus,
+          currentVideoTitle: dashboardState.currentVideoTitle,
+          controls: [
+            {
+              id: 'play-now',
+              name: 'Play Now',
+              type: 'text',
+              command: 'play-now',
+              placeholder: 'Enter YouTube URL',
+              description: 'Play a YouTube video immediately'
+            },
+            {
+              id: 'play',
+              name: 'Add to Playlist',
+              type: 'text',
+              command: 'play',
+              placeholder: 'Enter YouTube URL',
+              description: 'Add a YouTube video to the playlist'
+            },
+            {
+              id: 'volume',
+              name: 'Volume',
+              type: 'slider',
+              command: 'volume',
+              min: 0,
+              max: 100,
+              value: dashboardState.volume,
+              description: 'Adjust volume (0-100)'
+            },
+            {
+              id: 'previous',
+              name: 'Previous',
+              type: 'button',
+              command: 'previous',
+              description: 'Play previous video in playlist'
+            },
+            {
+              id: 'play-pause',
+              name: 'Play/Pause',
+              type: 'button',
+              command: 'play-pause',
+              description: 'Toggle play/pause'
+            },
+            {
+              id: 'next',
+              name: 'Next',
+              type: 'button',
+              command: 'next',
+              description: 'Play next video in playlist'
+            },
+            {
+              id: 'stop',
+              name: 'Stop',
+              type: 'button',
+              command: 'stop',
+              description: 'Stop video and clear player'
+            },
+            {
+              id: 'mute',
+              name: 'Mute/Unmute',
+              type: 'button',
+              command: 'mute',
+              description: 'Toggle mute'
+            },
+            {
+              id: 'seek-back',
+              name: 'Seek Back 10s',
+              type: 'button',
+              command: 'seek-back',
+              description: 'Seek backward 10 seconds'
+            },
+            {
+              id: 'seek-forward',
+              name: 'Seek Forward 10s',
+              type: 'button',
+              command: 'seek-forward',
+              description: 'Seek forward 10 seconds'
+            },
+            {
+              id: 'seek',
+              name: 'Position',
+              type: 'slider',
+              command: 'seek',
+              min: 0,
+              max: 100,
+              value: 0,
+              description: 'Seek to a position (percent of the video)'
+            },
+            {
+              id: 'theater',
+              name: 'Theater mode / Default view',
+              type: 'button',
+              command: 'theater',
+              description: 'Toggle theater mode / default view'
+            },
+            {
+              id: 'fullscreen',
+              name: 'Toggle Fullscreen',
+              type: 'button',
+              command: 'fullscreen',
+              description: 'Toggle fullscreen mode'
+            }
+          ]
+        };
+
+        socket.emit('message', JSON.stringify(controlsResponse));
+        console.log('Control definitions sent');
+      }
+
+      // Handle device identification
+      if (message.type === 'identify') {
+        let deviceName = typeof message.name === 'string' && message.name.trim()
+          ? message.name.trim().substring(0, MAX_DEVICE_NAME_LENGTH)
+          : 'Unknown Device';
+        const client = connectedClients.find(c => c.socketId === socket.id);
+        if (client) {
+          if (client.type === 'dashboard') {
+            leaveDashboardRooms(socket, client);
+          }
+
+          // A name set through PATCH /api/devices wins over the one the device reports
+          const device = client.deviceId ? devices[client.deviceId] : null;
+          if (device && device.renamedAt && device.name) {
+            if (deviceName !== device.name) {
+              socket.emit('device-renamed', { id: device.id, name: device.name });
+            }
+            deviceName = device.name;
+          } else if (device && device.name !== deviceName) {
+            device.name = deviceName;
+            scheduleDeviceSave();
+          }
+
+          client.name = deviceName;
+          console.log(`Client ${socket.id} identified as: ${deviceName} (${client.role})`);
+
+          // Groups saved under the old name-keyed scheme are matched on the name the dashboard reports
+          if (client.type === 'dashboard') {
+            joinDashboardRooms(socket, client);
+          }
+
+          if (!identified) {
+            identified = true;
+            fireWebhooks('device.connected', {
+              id: client.id,
+              name: client.name,
+              type: client.type,
+              role: client.role,
+              ipAddress: client.ipAddress
+            });
+          }
+
+          // Send the updated client list to dashboards and admins (filtered to external only)
+          publishConnectedClients();
+
+          // Notify dashboards and admins about the new connection (only if external)
+          if (client.type === 'external') {
+            socket.broadcast.to([ROLE_ROOMS.dashboard, ROLE_ROOMS.admin]).emit('client-connected', {
+              deviceName: client.name,
+              id: client.id,
+              connectedAt: client.connectedAt
+            });
+          }
+        }
+      }
+
+      // Handle volume updates from dashboard
+      if (message.type === 'volume_update') {
+        if (typeof message.value === 'number' && message.value >= 0 && message.value <= 100) {
+          dashboardState.volume = message.value;
+          schedulePersist();
+          console.log('Dashboard volume updated to:', message.value);
+
+          // Broadcast volume change to all connected clients
+          publishEvent('state-volume-changed', {
+            volume: message.value,
+            timestamp: new Date().toISOString()
+          });
+          broadcastStateSnapshot();
+          fireWebhooks('volume.changed', { volume: message.value, source: 'dashboard' });
+        }
+      }
+
+      // Handle playback status updates from dashboard
+      if (message.type === 'status_update') {
+        const validStatuses = ['playing', 'paused', 'stopped'];
+        if (validStatuses.includes(message.status)) {
+          dashboardState.playbackStatus = message.status;
+          schedulePersist();
+          console.log('Dashboard playback status updated to:', message.status);
+
+          // Broadcast playback status change to all connected clients
+          publishEvent('state-playback-changed', {
+            status: message.status,
+            timestamp: new Date().toISOString()
+          });
+          broadcastStateSnapshot();
+        }
+      }
+
+      // Handle video title updates from dashboard
+      if (message.type === 'title_update') {
+        if (typeof message.title === 'string') {
+          const titleChanged = message.title !== dashboardState.currentVideoTitle;
+          dashboardState.currentVideoTitle = message.title;
+          schedulePersist();
+          console.log('Dashboard video title updated to:', message.title);
+
+          // Every dashboard sends the same title; only the first one to change it is announced
+          if (titleChanged) {
+            fireWebhooks('title.changed', { title: message.title, url: isValidYouTubeUrl(message.url) ? message.url : null });
+          }
+
+          // Title updates for a loaded video also carry its URL, and are sent once it starts playing
+          if (isValidYouTubeUrl(message.url)) {
+            if (claimVideoStart(message.url, message.local === true)) {
+              recordHistory(message.url, message.title);
+              fireWebhooks('video.started', { url: message.url, title: message.title });
+            }
+
+            // Replace the placeholder title of the matching playlist item
+            const videoId = extractVideoId(message.url);
+            const playlistItem = playlistState.items.find(item => item.videoId === videoId);
+            if (playlistItem && playlistItem.title === 'YouTube Video') {
+              playlistItem.title = message.title;
+              broadcastPlaylist();
+            }
+          }
+
+          // Broadcast title change to all connected clients
+          publishEvent('state-title-changed', {
+            title: message.title,
+            timestamp: new Date().toISOString()
+          });
+          broadcastStateSnapshot();
+        }
+      }
+
+      // Handle detailed now-playing reports from dashboard (sent periodically and on change)
+      if (message.type === 'now_playing') {
+        const client = connectedClients.find(c => c.socketId === socket.id);
+        applyNowPlayingReport(message, client);
+        broadcastStateSnapshot();
+      }
+
+      // Playlist import/export from the dashboard's playlist panel
+      if (message.type === 'playlist_export') {
+        const format = PLAYLIST_FORMATS[message.format] ? message.format : 'json';
+        const source = message.source === 'history' ? 'history' : (format === 'json' ? 'all' : 'playlist');
+        socket.emit('playlist-export', {
+          format,
+          filename: `liveboard-${source}.${PLAYLIST_FORMATS[format].extension}`,
+          contentType: PLAYLIST_FORMATS[format].contentType,
+          content: exportPlaylist(format, source)
+        });
+      }
+
+      if (message.type === 'playlist_import') {
+        if (typeof message.content === 'string' && Buffer.byteLength(message.content) > MAX_IMPORT_BYTES) {
+          socket.emit('playlist-import-result', { success: false, error: `Imports are limited to ${MAX_IMPORT_BYTES / 1024}KB` });
+        } else if (typeof message.content === 'string' && message.content.trim()) {
+          const format = PLAYLIST_FORMATS[message.format] ? message.format : undefined;
+          const mode = message.mode === 'replace' ? 'replace' : 'append';
+          const { report, error } = importPlaylist(message.content, format, mode);
+          auditDashboardCommand('playlist_import', error ? 'failure' : 'success');
+          socket.emit('playlist-import-result', error ? { success: false, error } : { success: true, report });
+        } else {
+          socket.emit('playlist-import-result', { success: false, error: 'The file is empty' });
+        }
+      }
+
+      // Handle playlist changes made from a dashboard
+      if (message.type === 'playlist_add') {
+        if (isValidYouTubeUrl(message.url)) {
+          const position = isValidPlaylistPosition(message.position) ? message.position : undefined;
+          const { item } = addPlaylistItem(message.url, position);
+          auditDashboardCommand('playlist_add', 'success', item.id);
+        } else {
+          console.warn('Invalid YouTube URL in playlist_add');
+          auditDashboardCommand('playlist_add', 'failure');
+        }
+      }
+
+      if (message.type === 'playlist_remove') {
+        const removed = removePlaylistItem(message.itemId);
+        auditDashboardCommand('playlist_remove', removed ? 'success' : 'failure', removed ? removed.id : null);
+      }
+
+      if (message.type === 'playlist_move') {
+        const moved = isValidPlaylistPosition(message.position) ? movePlaylistItem(message.itemId, message.position) : null;
+        auditDashboardCommand('playlist_move', moved ? 'success' : 'failure', moved ? moved.item.id : null);
+      }
+
+      if (message.type === 'playlist_clear') {
+        clearPlaylistItems();
+        auditDashboardCommand('playlist_clear');
+      }
+
+      if (message.type === 'history_clear') {
+        clearHistory();
+        auditDashboardCommand('history_clear');
+      }
+
+      if (message.type === 'playlist_select') {
+        const item = selectPlaylistItem(message.itemId);
+        if (item) {
+          playPlaylistItem(item);
+        }
+        auditDashboardCommand('playlist_select', item ? 'success' : 'failure', item ? item.id : null);
+      }
+
+      if (message.type === 'playlist_next' || message.type === 'playlist_previous') {
+        const item = stepPlaylist(message.type === 'playlist_next' ? 1 : -1);
+        if (item) {
+          playPlaylistItem(item);
+        }
+        auditDashboardCommand(message.type, item ? 'success' : 'failure', item ? item.id : null);
+      }
+
+      // Advance the playlist when the current video ends. Every dashboard reports
+      // the end of the same video, so only the first report moves the cursor.
+      if (message.type === 'video_ended') {
+        const client = connectedClients.find(c => c.socketId === socket.id);
+        if (claimVideoEnd()) {
+          fireWebhooks('video.ended', {
+            itemId: message.itemId || null,
+            url: nowPlaying.videoUrl,
+            title: dashboardState.currentVideoTitle,
+            dashboard: client ? client.name : null
+          });
+          if (playlistState.items.length === 0) {
+            fireWebhooks('queue.empty', { reason: 'video-ended' });
+          }
+        }
+
+        const currentItem = playlistState.items[playlistState.currentIndex];
+        if (currentItem && currentItem.id === message.itemId) {
+          const item = stepPlaylist(1);
+          if (item) {
+            playPlaylistItem(item);
+          }
+        }
+      }
+
+      // Handle control commands
+      if (message.type === 'command') {
+        console.log(`Command received: ${message.command}`, message.value, message.target ? `(target: ${message.target})` : '');
+
+        // Every command is audited, with the sending key as the actor once it is known
+        let socketKey = null;
+        let rejected = false;
+        const auditCommand = (result, details = {}) => {
+          const client = connectedClients.find(c => c.socketId === socket.id);
+          recordAudit({
+            action: 'command',
+            actor: socketKey
+              ? { type: 'key', id: socketKey.id, name: socketKey.name, prefix: socketKey.prefix }
+              : { type: 'anonymous', id: null, name: null },
+            ip: socket.handshake.address,
+            target: typeof message.target === 'string' ? message.target : null,
+            result,
+            details: { command: `socket ${String(message.command).substring(0, 50)}`, device: client ? client.name : null, ...details }
+          });
+        };
+
+        // Rejected commands get a command-error event back
+        const rejectCommand = (error, details = {}) => {
+          console.warn(`Command ${message.command} rejected: ${error}`);
+          const denied = ['auth-required', 'forbidden-role', 'missing-scope', 'rate-limited'].includes(details.code) || details.code.startsWith('key-');
+          rejected = true;
+          auditCommand(denied ? 'denied' : 'failure', { code: details.code, error });
+          socket.emit('command-error', {
+            command: message.command,
+            error,
+            ...details,
+            timestamp: new Date().toISOString()
+          });
+        };
+
+        // Only controllers and admins that authenticated in the handshake may send commands
+        if (role !== 'controller' && role !== 'admin') {
+          rejectCommand(`The ${role} role cannot send commands. Connect as a controller with an API key.`, { code: 'forbidden-role' });
+          return;
+        }
+        if (!presentedKey) {
+          rejectCommand('Authentication required. Connect with an API key in the handshake auth payload (auth: { apiKey }).', { code: 'auth-required' });
+          return;
+        }
+
+        // The key is looked up again for each command so revocation, expiry and scope changes apply immediately
+        const requiredScope = SOCKET_COMMAND_SCOPES[message.command] || 'playback';
+        socketKey = findApiKey(presentedKey);
+        const keyStatus = socketKey ? getKeyStatus(socketKey) : 'invalid';
+
+        if (keyStatus !== 'active') {
+          rejectCommand(`This API key is ${keyStatus}`, { code: `key-${keyStatus}` });
+          return;
+        }
+        if (!keyHasScope(socketKey, requiredScope)) {
+          rejectCommand(`This API key does not have the "${requiredScope}" scope`, { code: 'missing-scope', requiredScope });
+          return;
+        }
+
+        // Socket commands share the key's REST budgets
+        const limits = getKeyRateLimits(socketKey);
+        if (await isKeyLimitExceeded(keyRequestStore, socketKey.id, limits.requestsPerMinute)) {
+          rejectCommand('Too many requests for this API key, please slow down', { code: 'rate-limited' });
+          return;
+        }
+        if (message.command === 'play' && await isKeyLimitExceeded(keyQueueStore, socketKey.id, limits.queueAdditionsPerHour)) {
+          rejectCommand('This API key has reached its hourly queue limit', { code: 'rate-limited' });
+          return;
+        }
+
+        recordKeyUsage(socketKey, {
+          ip: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent'],
+          command: `socket ${String(message.command).substring(0, 50)}`
+        });
+
+        // Update API client activity
+        updateApiActivity();
+
+        // Resolve the optional target (dashboard ID, dashboard name or group name)
+        const target = resolveTarget(message.target);
+        if (target.error) {
+          rejectCommand(target.error, { code: 'invalid-target' });
+          return;
+        }
+
+        // Commands sent to dashboards report per-dashboard results back to the sender
+        let delivery = null;
+
+        switch (message.command) {
+          case 'play-now':
+            if (message.value && isValidYouTubeUrl(message.value)) {
+              delivery = dispatchCommand(target, 'play-video-now', { url: message.value });
+              console.log(`Playing video immediately: ${message.value}`);
+            } else {
+              rejectCommand('Invalid YouTube URL', { code: 'invalid-value' });
+            }
+            break;
+
+          case 'play':
+            if (message.value && isValidYouTubeUrl(message.value)) {
+              const { item } = addPlaylistItem(message.value);
+              emitToRoles(SOCKET_ROLES, 'play-video', { url: message.value, itemId: item.id });
+              console.log(`Adding video to playlist: ${message.value}`);
+            } else {
+              rejectCommand('Invalid YouTube URL', { code: 'invalid-value' });
+            }
+            break;
+
+          case 'play-pause':
+            delivery = dispatchCommand(target, 'control-play-pause');
+            console.log('Toggling play/pause');
+            break;
+
+          // Deprecated: kept for backward compatibility
+          case 'pause':
+            delivery = dispatchCommand(target, 'control-play-pause');
+            console.log('Toggling play/pause (via deprecated pause)');
+            break;
+
+          case 'resume':
+            delivery = dispatchCommand(target, 'control-play-pause');
+            console.log('Toggling play/pause (via deprecated resume)');
+            break;
+
+          case 'stop':
+            delivery = dispatchCommand(target, 'control-stop');
+            console.log('Stopping video');
+            break;
+
+          case 'fullscreen':
+            delivery = dispatchCommand(target, 'control-fullscreen');
+            console.log('Toggling fullscreen');
+            break;
+
+          // Deprecated: kept for backward compatibility
+          case 'exitfullscreen':
+            delivery = dispatchCommand(target, 'control-fullscreen');
+            console.log('Toggling fullscreen (via deprecated exitfullscreen)');
+            break;
+
+          case 'volume':
+            if (typeof message.value === 'number' && message.value >= 0 && message.value <= 100) {
+              if (target.broadcast) {
+                setSharedVolume(message.value, 'command');
+              }
+              delivery = dispatchCommand(target, 'control-volume', { level: message.value });
+              console.log('Setting volume to:', message.value);
+            } else {
+              rejectCommand('Volume must be a number between 0 and 100', { code: 'invalid-value' });
+            }
+            break;
+
+          case 'next': {
+            const item = stepPlaylist(1);
+            if (item) {
+              delivery = playPlaylistItem(item, target);
+              console.log('Playing next video in playlist');
+            } else {
+              rejectCommand('Playlist is empty', { code: 'playlist-empty' });
+            }
+            break;
+          }
+
+          case 'previous': {
+            const item = stepPlaylist(-1);
+            if (item) {
+              delivery = playPlaylistItem(item, target);
+              console.log('Playing previous video in playlist');
+            } else {
+              rejectCommand('Playlist is empty', { code: 'playlist-empty' });
+            }
+            break;
+          }
+
+          case 'mute':
+            delivery = dispatchCommand(target, 'control-mute');
+            console.log('Toggling mute');
+            break;
+
+          case 'seek-back':
+            delivery = dispatchCommand(target, 'control-seek-back');
+            console.log('Seeking backward 10 seconds');
+            break;
+
+          case 'seek-forward':
+            delivery = dispatchCommand(target, 'control-seek-forward');
+            console.log('Seeking forward 10 seconds');
+            break;
+
+          // A bare number comes from the position slider and is a percentage
+          case 'seek': {
+            const parsed = typeof message.value === 'number'
+              ? parseSeekRequest({ percent: message.value })
+              : parseSeekRequest(message.value);
+            if (parsed.seek) {
+              delivery = dispatchCommand(target, 'control-seek', parsed.seek);
+              console.log(`Seeking (${parsed.seek.mode}):`, parsed.seek.value);
+            } else {
+              rejectCommand(parsed.error, { code: 'invalid-value' });
+            }
+            break;
+          }
+
+          case 'theater':
+            delivery = dispatchCommand(target, 'control-theater');
+            console.log('Toggling theater mode');
+            break;
+
+          default:
+            rejectCommand('Unknown command', { code: 'unknown-command' });
+        }
+
+        if (delivery) {
+          delivery.then(outcome => {
+            auditCommand(outcome.summary.applied > 0 ? 'success' : 'failure', { summary: outcome.summary });
+            socket.emit('command-result', {
+              command: message.command,
+              target: target.label,
+              ...outcome
+            });
+          });
+        } else if (!rejected) {
+          auditCommand('success');
+        }
+      }
+    } catch (e) {
+      console.error('Error handling message:', e);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    connectedClientsCount--;
+
+    // Remove client from the list
+    const clientIndex = connectedClients.findIndex(c => c.socketId === socket.id);
+    if (clientIndex !== -1) {
+      const removedClient = connectedClients.splice(clientIndex, 1)[0];
+      if (removedClient.deviceId && devices[removedClient.deviceId]) {
+        devices[removedClient.deviceId].lastSeenAt = new Date().toISOString();
+        scheduleDeviceSave();
+      }
+      const duration = Math.round((Date.now() - new Date(removedClient.connectedAt).getTime()) / 1000);
+      console.log(`Client disconnected: ${removedClient.name} (${removedClient.type}) from ${removedClient.ipAddress}. ID: ${removedClient.id}. Duration: ${duration}s. Total clients: ${connectedClientsCount}`);
+
+      // Send the updated client list to the remaining dashboards and admins (filtered to external only)
+      publishConnectedClients();
+
+      if (identified) {
+        fireWebhooks('device.disconnected', {
+          id: removedClient.id,
+          name: removedClient.name,
+          type: removedClient.type,
+          role: removedClient.role,
+          ipAddress: removedClient.ipAddress,
+          durationSeconds: duration
+        });
+      }
+    } else {
+      console.log(`Client disconnected. Total clients: ${connectedClientsCount}`);
+    }
+  });
+});
+
+// API endpoint to receive YouTube URL
+app.post('/api/play', requireApiKey, requireScope('queue:add'), queueLimiter, (req, res) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL is required'
+    });
+  }
+
+  // Validate URL format
+  if (!isValidYouTubeUrl(url)) {
+    console.warn(`Invalid URL rejected: ${url.substring(0, 50)}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid YouTube URL format'
+    });
+  }
+
+  // Additional length check
+  if (url.length > 500) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL too long'
+    });
+  }
+
+  console.log(`Received valid URL: ${url}`);
+
+  // Add the URL to the shared playlist and notify connected clients
+  const { item, duplicate } = addPlaylistItem(url);
+  emitToRoles(SOCKET_ROLES, 'play-video', { url, itemId: item.id });
+
+  res.json({
+    success: true,
+    message: duplicate ? 'Video is already at the end of the playlist' : 'Video added to playlist',
+    itemId: item.id,
+    duplicate,
+    clientCount: getExternalClients().length
+  });
+});
+
+// Play now endpoint - plays video immediately (adds to top of playlist and plays)
+app.post('/api/play-now', requireApiKey, requireScope('playback'), async (req, res) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL is required'
+    });
+  }
+
+  // Validate URL format
+  if (!isValidYouTubeUrl(url)) {
+    console.warn(`Invalid URL rejected: ${url.substring(0, 50)}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid YouTube URL format'
+    });
+  }
+
+  // Additional length check
+  if (url.length > 500) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL too long'
+    });
+  }
+
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log(`Received valid URL for immediate playback: ${url}`);
+
+  // Send the URL to the targeted dashboards (all dashboards by default) for immediate playback
+  const outcome = await dispatchCommand(target, 'play-video-now', { url });
+  sendCommandResult(res, outcome, `Video sent to ${target.label} for immediate playback`);
+});
+
+// Deprecated: Pause video endpoint (now toggles play/pause for backward compatibility)
+app.post('/api/pause', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Toggle play/pause command received (via deprecated /api/pause)');
+  const outcome = await dispatchCommand(target, 'control-play-pause');
+  sendCommandResult(res, outcome, `Toggle play/pause command sent to ${target.label}`, {
+    deprecated: true,
+    deprecationMessage: 'This endpoint is deprecated. The server now uses a toggle for play/pause.'
+  });
+});
+
+// Deprecated: Resume/Play video endpoint (now toggles play/pause for backward compatibility)
+app.post('/api/resume', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Toggle play/pause command received (via deprecated /api/resume)');
+  const outcome = await dispatchCommand(target, 'control-play-pause');
+  sendCommandResult(res, outcome, `Toggle play/pause command sent to ${target.label}`, {
+    deprecated: true,
+    deprecationMessage: 'This endpoint is deprecated. The server now uses a toggle for play/pause.'
+  });
+});
+
+// Stop video endpoint
+app.post('/api/stop', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Stop command received');
+  const outcome = await dispatchCommand(target, 'control-stop');
+  sendCommandResult(res, outcome, `Stop command sent to ${target.label}`);
+});
+
+// Toggle fullscreen endpoint
+app.post('/api/fullscreen', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Toggle fullscreen command received');
+  const outcome = await dispatchCommand(target, 'control-fullscreen');
+  sendCommandResult(res, outcome, `Toggle fullscreen command sent to ${target.label}`);
+});
+
+// Deprecated: Exit fullscreen endpoint (now toggles fullscreen for backward compatibility)
+app.post('/api/exitfullscreen', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Toggle fullscreen command received (via deprecated /api/exitfullscreen)');
+  const outcome = await dispatchCommand(target, 'control-fullscreen');
+  sendCommandResult(res, outcome, `Toggle fullscreen command sent to ${target.label}`, {
+    deprecated: true,
+    deprecationMessage: 'This endpoint is deprecated. Use /api/fullscreen instead, which now toggles fullscreen mode.'
+  });
+});
+
+// Volume control endpoint
+app.post('/api/volume', requireApiKey, requireScope('volume'), async (req, res) => {
+  const { level } = req.body;
+
+  // Validate volume level
+  if (typeof level !== 'number' || level < 0 || level > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'Volume level must be a number between 0 and 100'
+    });
+  }
+
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Volume control command received:', level);
+
+  // Only a broadcast sets the shared volume; targeted dashboards may differ
+  if (target.broadcast) {
+    setSharedVolume(level, 'api');
+  }
+  const outcome = await dispatchCommand(target, 'control-volume', { level });
+  sendCommandResult(res, outcome, `Volume command sent to ${target.label}`, {
+    level
+  });
+});
+
+// Play next video in playlist endpoint
+app.post('/api/next', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Play next command received');
+
+  // A target with no dashboard online (an empty group) must not move the cursor
+  if (!target.broadcast && target.dashboards.length === 0) {
+    return sendCommandResult(res, { broadcast: false, results: [], summary: { total: 0, applied: 0, failed: 0, timedOut: 0 } });
+  }
+
+  const item = stepPlaylist(1);
+  if (!item) {
+    return res.status(409).json({
+      success: false,
+      error: 'Playlist is empty'
+    });
+  }
+
+  const outcome = await playPlaylistItem(item, target);
+  sendCommandResult(res, outcome, `Play next command sent to ${target.label}`, {
+    item,
+    currentIndex: playlistState.currentIndex
+  });
+});
+
+// Play previous video in playlist endpoint
+app.post('/api/previous', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Play previous command received');
+
+  // A target with no dashboard online (an empty group) must not move the cursor
+  if (!target.broadcast && target.dashboards.length === 0) {
+    return sendCommandResult(res, { broadcast: false, results: [], summary: { total: 0, applied: 0, failed: 0, timedOut: 0 } });
+  }
+
+  const item = stepPlaylist(-1);
+  if (!item) {
+    return res.status(409).json({
+      success: false,
+      error: 'Playlist is empty'
+    });
+  }
+
+  const outcome = await playPlaylistItem(item, target);
+  sendCommandResult(res, outcome, `Play previous command sent to ${target.label}`, {
+    item,
+    currentIndex: playlistState.currentIndex
+  });
+});
+
+// Mute/unmute endpoint
+app.post('/api/mute', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Mute/unmute command received');
+  const outcome = await dispatchCommand(target, 'control-mute');
+  sendCommandResult(res, outcome, `Mute/unmute command sent to ${target.label}`);
+});
+
+// Theater mode toggle endpoint
+app.post('/api/theater', requireApiKey, requireScope('playback'), async (req, res) => {
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Theater mode toggle command received');
+  const outcome = await dispatchCommand(target, 'control-theater');
+  sendCommandResult(res, outcome, `Theater mode toggle command sent to ${target.label}`);
+});
+
+// Seek backward endpoint
+app.post('/api/seek-backward', requireApiKey, requireScope('playback'), async (req, res) => {
+  // Validate that body is empty or only contains expected properties
+  if (req.body && Object.keys(req.body).some(key => key !== 'target')) {
+    return res.status(400).json({
+      success: false,
+      error: 'This endpoint only accepts an optional target parameter'
+    });
+  }
+
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Seek backward command received');
+
+  const outcome = await dispatchCommand(target, 'control-seek-back');
+  sendCommandResult(res, outcome, `Seek backward command sent to ${target.label}`);
+});
+
+// Seek forward endpoint
+app.post('/api/seek-forward', requireApiKey, requireScope('playback'), async (req, res) => {
+  // Validate that body is empty or only contains expected properties
+  if (req.body && Object.keys(req.body).some(key => key !== 'target')) {
+    return res.status(400).json({
+      success: false,
+      error: 'This endpoint only accepts an optional target parameter'
+    });
+  }
+
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  console.log('Seek forward command received');
+
+  const outcome = await dispatchCommand(target, 'control-seek-forward');
+  sendCommandResult(res, outcome, `Seek forward command sent to ${target.label}`);
+});
+
+// Seek endpoint - absolute position, percentage or relative offset
+app.post('/api/seek', requireApiKey, requireScope('playback'), async (req, res) => {
+  const parsed = parseSeekRequest(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      success: false,
+      error: parsed.error
+    });
+  }
+
+  const target = resolveRequestTarget(req, res);
+  if (!target) return;
+
+  const { mode, value } = parsed.seek;
+  console.log(`Seek command received (${mode}):`, value);
+
+  const outcome = await dispatchCommand(target, 'control-seek', parsed.seek);
+  sendCommandResult(res, outcome, `Seek command sent to ${target.label}`, { mode, value });
+});
+
+// Get the shared playlist
+app.get('/api/playlist', requireApiKey, requireScope('state:read'), (req, res) => {
+  res.json({
+    success: true,
+    playlist: getPlaylistSnapshot()
+  });
+});
+
+// Add a video to the playlist, optionally at a given position
+app.post('/api/playlist', requireApiKey, requireScope('queue:add'), queueLimiter, (req, res) => {
+  const { url, position } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'URL is required'
+    });
+  }
+
+  if (!isValidYouTubeUrl(url)) {
+    console.warn(`Invalid URL rejected: ${String(url).substring(0, 50)}`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid YouTube URL format'
+    });
+  }
+
+  if (position !== undefined && !isValidPlaylistPosition(position)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Position must be a non-negative integer'
+    });
+  }
+
+  const { item, duplicate } = addPlaylistItem(url, position);
+
+  // Handled like /api/play: the video next to the requested position is returned instead
+  if (duplicate) {
+    return res.json({
+      success: true,
+      message: 'Video is already at this position in the playlist',
+      item,
+      duplicate,
+      index: playlistState.items.indexOf(item),
+      playlist: getPlaylistSnapshot()
+    });
+  }
+
+  console.log(`Added to playlist: ${url}`);
+  res.status(201).json({
+    success: true,
+    message: 'Video added to playlist',
+    item,
+    duplicate,
+    index: playlistState.items.indexOf(item),
+    playlist: getPlaylistSnapshot()
+  });
+});
+
+// Export the playlist and/or history as a download
+// ?format=json|m3u|txt (default json), ?source=playlist|history|all (all is JSON only)
+app.get('/api/playlist/export', requireApiKey, requireScope('state:read'), (req, res) => {
+  const format = req.query.format || 'json';
+  const source = req.query.source || (format === 'json' ? 'all' : 'playlist');
+
+  if (!PLAYLIST_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}`
+    });
+  }
+  if (!['playlist', 'history', 'all'].includes(source) || (source === 'all' && format !== 'json')) {
+    return res.status(400).json({
+      success: false,
+      error: format === 'json' ? 'source must be playlist, history or all' : 'source must be playlist or history'
+    });
+  }
+
+  const { contentType, extension } = PLAYLIST_FORMATS[format];
+  res.type(contentType);
+  res.attachment(`liveboard-${source}.${extension}`);
+  res.send(exportPlaylist(format, source));
+});
+
+// Read an import body as raw text, whatever its content type
+const importBodyParser = express.text({ type: () => true, limit: MAX_IMPORT_BYTES });
+function readImportBody(req, res, next) {
+  importBodyParser(req, res, error => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        error: error.type === 'entity.too.large' ? `Imports are limited to ${MAX_IMPORT_BYTES / 1024}KB` : 'Could not read request body'
+      });
+    }
+    next();
+  });
+}
+
+// Import a playlist (and, from JSON, history) sent as the raw request body
+// ?format=json|m3u|txt (detected from the content if omitted), ?mode=append|replace (default append)
+app.post('/api/playlist/import', requireApiKey, requireScope('queue:manage'), readImportBody, (req, res) => {
+  const { format, mode = 'append' } = req.query;
+
+  if (format !== undefined && !PLAYLIST_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}`
+    });
+  }
+  if (!['append', 'replace'].includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'mode must be append or replace'
+    });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Request body must contain the playlist to import'
+    });
+  }
+
+  const { report, error } = importPlaylist(req.body, format, mode);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Imported ${report.added} video(s), ${report.rejected.length} rejected`,
+    report,
+    playlist: getPlaylistSnapshot()
+  });
+});
+
+// Clear the playlist
+app.delete('/api/playlist', requireApiKey, requireScope('queue:manage'), (req, res) => {
+  clearPlaylistItems();
+  console.log('Playlist cleared');
+  res.json({
+    success: true,
+    message: 'Playlist cleared'
+  });
+});
+
+// Remove a single video from the playlist
+app.delete('/api/playlist/:itemId', requireApiKey, requireScope('queue:manage'), (req, res) => {
+  const removed = removePlaylistItem(req.params.itemId);
+
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      error: 'Playlist item not found'
+    });
+  }
+
+  console.log(`Removed from playlist: ${removed.url}`);
+  res.json({
+    success: true,
+    message: 'Video removed from playlist',
+    item: removed,
+    playlist: getPlaylistSnapshot()
+  });
+});
+
+// Move a video to a new position in the playlist
+app.patch('/api/playlist/:itemId', requireApiKey, requireScope('queue:manage'), (req, res) => {
+  const { position } = req.body;
+
+  if (!isValidPlaylistPosition(position)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Position must be a non-negative integer'
+    });
+  }
+
+  const moved = movePlaylistItem(req.params.itemId, position);
+
+  if (!moved) {
+    return res.status(404).json({
+      success: false,
+      error: 'Playlist item not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Playlist item moved',
+    item: moved.item,
+    index: moved.index,
+    playlist: getPlaylistSnapshot()
+  });
+});
+
+// Get current state endpoint
+app.get('/api/state', requireApiKey, requireScope('state:read'), (req, res) => {
+  console.log('State request received');
+  res.json({
+    success: true,
+    state: getStateSnapshot(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Schedule an action at a time (at) or on a cron expression (cron)
+app.post('/api/schedule', requireApiKey, requireScope('schedule'), (req, res) => {
+  const { schedule, error } = parseScheduleRequest(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  // Only schedules that can still run count towards the limits
+  const active = schedules.filter(s => s.status === 'active');
+  if (active.length >= MAX_SCHEDULES) {
+    return res.status(429).json({
+      success: false,
+      error: `There are already ${MAX_SCHEDULES} active schedules. Delete some before adding more.`
+    });
+  }
+  if (active.filter(s => s.keyId === req.apiKey.id).length >= MAX_SCHEDULES_PER_KEY) {
+    return res.status(429).json({
+      success: false,
+      error: `This API key already has ${MAX_SCHEDULES_PER_KEY} active schedules. Delete some before adding more.`
+    });
+  }
+
+  schedule.keyId = req.apiKey.id;
+  schedules.push(schedule);
+  if (!saveSchedules()) {
+    schedules = schedules.filter(s => s !== schedule);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save schedule'
+    });
+  }
+  armScheduleTimer();
+
+  console.log(`Schedule ${schedule.id} created: ${schedule.action} ${schedule.cron ? `on "${schedule.cron}"` : `at ${schedule.at}`}, next run ${schedule.nextRunAt}`);
+  res.json({
+    success: true,
+    message: `Schedule created, next run at ${schedule.nextRunAt}`,
+    schedule
+  });
+});
+
+// List schedules and runs missed while the server was down
+app.get('/api/schedule', requireApiKey, requireScope('state:read'), (req, res) => {
+  res.json({
+    success: true,
+    schedules,
+    missed: missedJobs
+  });
+});
+
+app.get('/api/schedule/missed', requireApiKey, requireScope('state:read'), (req, res) => {
+  res.json({
+    success: true,
+    missed: missedJobs
+  });
+});
+
+// Clear the missed runs report
+app.delete('/api/schedule/missed', requireApiKey, requireScope('schedule'), (req, res) => {
+  missedJobs = [];
+  saveSchedules();
+  res.json({
+    success: true,
+    message: 'Missed runs cleared'
+  });
+});
+
+app.get('/api/schedule/:id', requireApiKey, requireScope('state:read'), (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.id);
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    schedule
+  });
+});
+
+// Cancel (delete) a schedule
+app.delete('/api/schedule/:id', requireApiKey, requireScope('schedule'), (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.id);
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Schedule not found'
+    });
+  }
+
+  schedules = schedules.filter(s => s !== schedule);
+  saveSchedules();
+  armScheduleTimer();
+
+  res.json({
+    success: true,
+    message: 'Schedule cancelled',
+    schedule
+  });
+});
+
+// Server-Sent Events stream of state, playlist, client and auth events.
+// ?types=a,b limits the stream to those event types; Last-Event-ID resumes after a reconnect.
+app.get('/api/events', requireApiKey, requireScope('state:read'), (req, res) => {
+  let types = null;
+  if (req.query.types) {
+    types = String(req.query.types).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !SSE_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown event type(s): ${unknown.join(', ')}`,
+        availableTypes: SSE_EVENT_TYPES
+      });
+    }
+  }
+
+  const resumeHeader = req.get('Last-Event-ID');
+  const resumeFrom = resumeHeader !== undefined ? parseInt(resumeHeader, 10) : null;
+  if (resumeHeader !== undefined && (!Number.isInteger(resumeFrom) || resumeFrom < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Last-Event-ID must be a non-negative integer'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const client = { res, types, keyId: req.apiKey.id };
+
+  // Replay missed events; tell the client to resync if they are no longer all buffered.
+  // An ID beyond the last one means the server restarted, so everything buffered is new.
+  if (resumeFrom !== null) {
+    const oldestId = eventBuffer.length > 0 ? eventBuffer[0].id : lastEventId + 1;
+    let replayAfter = resumeFrom;
+    if (resumeFrom > lastEventId) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'server-restarted' })}\n\n`);
+      replayAfter = 0;
+    } else if (resumeFrom < oldestId - 1) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'events-dropped' })}\n\n`);
+    }
+    eventBuffer
+      .filter(event => event.id > replayAfter)
+      .forEach(event => writeSseEvent(client, event));
+  }
+
+  sseClients.add(client);
+  console.log(`SSE client connected from ${req.ip}${types ? ` (types: ${types.join(', ')})` : ''}. Total SSE clients: ${sseClients.size}`);
+
+  req.on('close', () => {
+    sseClients.delete(client);
+    console.log(`SSE client disconnected from ${req.ip}. Total SSE clients: ${sseClients.size}`);
+  });
+});
+
+// List connected dashboards with their groups; IP addresses are only shown to admin callers
+app.get('/api/dashboards', requireApiKey, requireScope('state:read'), (req, res) => {
+  const showIp = keyHasScope(req.apiKey, 'admin');
+
+  res.json({
+    success: true,
+    dashboards: getDashboardClients().map(c => ({
+      id: c.id,
+      name: c.name,
+      groups: c.groups || [],
+      ipAddress: showIp ? c.ipAddress : undefined,
+      connectedAt: c.connectedAt
+    }))
+  });
+});
+
+// List dashboard groups with their members
+app.get('/api/groups', requireApiKey, requireScope('state:read'), (req, res) => {
+  const dashboards = getDashboardClients();
+
+  res.json({
+    success: true,
+    groups: getAllGroupNames().map(group => {
+      const members = Object.keys(deviceGroups)
+        .filter(deviceId => deviceGroups[deviceId].includes(group))
+        .map(deviceId => ({ id: deviceId, name: devices[deviceId] ? devices[deviceId].name : null }));
+      return {
+        name: group,
+        members,
+        onlineCount: dashboards.filter(c => (c.groups || []).includes(group)).length
+      };
+    })
+  });
+});
+
+// Assign a dashboard (by device ID, connection ID or name) to named groups, replacing its current groups
+app.put('/api/dashboards/:id/groups', requireAdmin, (req, res) => {
+  const { groups } = req.body;
+  req.audit = { action: 'settings.groups', target: req.params.id };
+
+  if (!Array.isArray(groups) || groups.length > 20 || !groups.every(isValidGroupName)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Groups must be an array of up to 20 names (letters, numbers, spaces, dots, dashes, underscores; max 50 characters)'
+    });
+  }
+
+  // Accept a registered device ID, a connected dashboard ID, or a name only one dashboard uses
+  let deviceId = null;
+  const device = devices[req.params.id];
+  if (device && device.role === 'dashboard') {
+    deviceId = device.id;
+  } else {
+    const byId = getDashboardClients().find(c => c.id === req.params.id);
+    if (byId) {
+      deviceId = byId.deviceId;
+    } else {
+      const byName = Object.values(devices).filter(d => d.role === 'dashboard' && d.name === req.params.id);
+      if (byName.length > 1) {
+        return res.status(409).json({
+          success: false,
+          error: `${byName.length} dashboards are named "${req.params.id}"; use a device ID instead`
+        });
+      }
+      deviceId = byName.length === 1 ? byName[0].id : null;
+    }
+  }
+
+  if (!deviceId) {
+    return res.status(404).json({
+      success: false,
+      error: 'Dashboard not found. Unenrolled dashboards have no device ID and cannot be assigned to groups.'
+    });
+  }
+
+  const uniqueGroups = [...new Set(groups)];
+  req.audit = { action: 'settings.groups', target: deviceId, details: { from: deviceGroups[deviceId] || [], to: uniqueGroups } };
+  // An empty list is kept so groups saved under the dashboard's name are not applied again
+  deviceGroups[deviceId] = uniqueGroups;
+  schedulePersist();
+
+  // Move this device's connected dashboards into their new group rooms
+  getDashboardClients()
+    .filter(c => c.deviceId === deviceId)
+    .forEach(c => {
+      const socket = io.sockets.sockets.get(c.socketId);
+      if (socket) {
+        leaveDashboardRooms(socket, c);
+        joinDashboardRooms(socket, c);
+      }
+    });
+
+  const name = devices[deviceId] ? devices[deviceId].name : null;
+  console.log(`Dashboard ${deviceId} (${name || 'unnamed'}) assigned to groups: ${uniqueGroups.join(', ') || '(none)'}`);
+
+  res.json({
+    success: true,
+    message: 'Dashboard groups updated',
+    dashboard: deviceId,
+    name,
+    groups: uniqueGroups
+  });
+});
+
+// List registered devices, most recently seen first. ?role= limits the list to one role.
+app.get('/api/devices', requireApiKey, requireScope('state:read'), (req, res) => {
+  const { role } = req.query;
+  if (role !== undefined && !SOCKET_ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `Role must be one of: ${SOCKET_ROLES.join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    devices: Object.values(devices)
+      .filter(device => !role || device.role === role)
+      .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+      .map(describeDevice)
+  });
+});
+
+// Get one registered device
+app.get('/api/devices/:id', requireApiKey, requireScope('state:read'), (req, res) => {
+  const device = devices[req.params.id];
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      error: 'Device not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    device: describeDevice(device)
+  });
+});
+
+// Enroll a dashboard screen. The token is only shown in this response; opening enrollUrl on the
+// screen stores it there.
+app.post('/api/devices', requireAdmin, (req, res) => {
+  req.audit = { action: 'device.enrolled' };
+
+  const { name } = req.body || {};
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_DEVICE_NAME_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Name must be a non-empty string of up to ${MAX_DEVICE_NAME_LENGTH} characters`
+    });
+  }
+
+  const enrolled = enrollDevice(name.trim(), req.ip);
+  if (enrolled.error) {
+    return res.status(409).json({
+      success: false,
+      error: enrolled.error
+    });
+  }
+
+  req.audit.target = enrolled.device.id;
+  req.audit.details = { name: enrolled.device.name };
+  console.log(`Dashboard ${enrolled.device.id} enrolled as ${enrolled.device.name}`);
+
+  const origin = PUBLIC_URL ? PUBLIC_URL.origin : `${req.protocol}://${req.get('host')}`;
+  res.status(201).json({
+    success: true,
+    message: 'Dashboard enrolled. Store the token now - it cannot be shown again.',
+    device: describeDevice(enrolled.device),
+    token: enrolled.token,
+    enrollUrl: `${origin}/#device-token=${enrolled.token}`
+  });
+});
+
+// Rename a device, or change an enrolled dashboard's scopes and rate limits. Connected devices
+// are told about a new name straight away; the rest get it when they next connect, since a name
+// set here wins over the one the device reports.
+app.patch('/api/devices/:id', requireAdmin, (req, res) => {
+  const { name, scopes: requestedScopes, rateLimits: requestedLimits } = req.body || {};
+  req.audit = { action: name !== undefined ? 'device.renamed' : 'device.updated', target: req.params.id };
+
+  const device = devices[req.params.id];
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      error: 'Device not found'
+    });
+  }
+
+  if (name === undefined && requestedScopes === undefined && requestedLimits === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Name, scopes or rateLimits is required'
+    });
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_DEVICE_NAME_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: `Name must be a non-empty string of up to ${MAX_DEVICE_NAME_LENGTH} characters`
+    });
+  }
+
+  if ((requestedScopes !== undefined || requestedLimits !== undefined) && !isEnrolledDevice(device)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Scopes and rate limits can only be set for enrolled dashboards'
+    });
+  }
+
+  // null resets the scopes to DASHBOARD_SCOPES
+  let scopes;
+  if (requestedScopes !== undefined && requestedScopes !== null) {
+    const parsed = parseScopes(requestedScopes);
+    if (parsed.error || parsed.scopes.includes('admin')) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error || 'Dashboards cannot have the admin scope'
+      });
+    }
+    scopes = parsed.scopes;
+  }
+
+  let rateLimits;
+  if (requestedLimits !== undefined) {
+    const parsed = parseRateLimits(requestedLimits, device.rateLimits);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+    rateLimits = parsed.rateLimits;
+  }
+
+  req.audit.details = { changes: {} };
+  if (requestedScopes !== undefined) {
+    req.audit.details.changes.scopes = { from: getDeviceScopes(device), to: scopes || DEFAULT_DASHBOARD_SCOPES };
+    device.scopes = scopes || null;
+  }
+  if (rateLimits) {
+    req.audit.details.changes.rateLimits = { from: device.rateLimits || {}, to: rateLimits };
+    device.rateLimits = rateLimits;
+  }
+  if (name !== undefined) {
+    const newName = name.trim();
+    const oldName = device.name;
+    req.audit.details.from = oldName;
+    req.audit.details.to = newName;
+
+    device.name = newName;
+    device.renamedAt = new Date().toISOString();
+
+    connectedClients
+      .filter(c => c.deviceId === device.id)
+      .forEach(c => {
+        const socket = io.sockets.sockets.get(c.socketId);
+        if (socket && c.type === 'dashboard') {
+          leaveDashboardRooms(socket, c);
+        }
+        c.name = newName;
+        if (socket) {
+          if (c.type === 'dashboard') {
+            joinDashboardRooms(socket, c);
+          }
+          socket.emit('device-renamed', { id: device.id, name: newName });
+        }
+      });
+    publishConnectedClients();
+
+    console.log(`Device ${device.id} renamed from ${oldName || '(unnamed)'} to ${newName}`);
+  }
+  flushDevices();
+
+  res.json({
+    success: true,
+    message: name !== undefined ? 'Device renamed' : 'Device updated',
+    device: describeDevice(device)
+  });
+});
+
+// Remove a device from the registry. An enrolled dashboard's token stops working and its
+// open connections are closed.
+app.delete('/api/devices/:id', requireAdmin, (req, res) => {
+  req.audit = { action: 'device.deleted', target: req.params.id };
+
+  const device = devices[req.params.id];
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      error: 'Device not found'
+    });
+  }
+
+  const described = describeDevice(device);
+  delete devices[device.id];
+  flushDevices();
+  if (deviceGroups[device.id]) {
+    delete deviceGroups[device.id];
+    schedulePersist();
+  }
+
+  connectedClients
+    .filter(c => c.deviceId === device.id)
+    .forEach(c => {
+      const socket = io.sockets.sockets.get(c.socketId);
+      if (socket) {
+        socket.disconnect(true);
+      }
+    });
+
+  res.json({
+    success: true,
+    message: 'Device removed',
+    device: described
+  });
+});
+
+// Health check endpoint. It needs no credentials, so client IP addresses are left out.
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    connectedClients: getExternalClients().map(({ ipAddress, ...client }) => client)
+  });
+});
+
+// Debug endpoint to see all connected clients (including dashboards)
+app.get('/api/debug/clients', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    totalClients: connectedClients.length,
+    externalClients: getExternalClients().length,
+    dashboardClients: connectedClients.filter(c => c.type === 'dashboard').length,
+    clients: connectedClients.map(c => ({
+      id: c.id,
+      name: c.name,
+      type: c.type,
+      role: c.role,
+      ipAddress: c.ipAddress,
+      connectedAt: c.connectedAt,
+      duration: Math.round((Date.now() - new Date(c.connectedAt).getTime()) / 1000) + 's'
+    }))
+  });
+});
+
+// Pairing: a controller asks for a code, the dashboards show it on screen, and entering
+// it on the controller exchanges it for a named, scoped API key
+const PAIRING_CODE_TTL = 2 * 60 * 1000; // 2 minutes
+const PAIRING_CODE_LENGTH = 6;
+const MAX_PAIRING_ATTEMPTS = 5; // Wrong codes before a pairing request is cancelled
+const MAX_PENDING_PAIRINGS = 3;
+
+// Scopes a paired device may get (admin is never allowed)
+const PAIRING_SCOPES = (process.env.PAIRING_SCOPES || 'playback,queue:add,volume,state:read')
+  .split(',')
+  .map(scope => scope.trim())
+  .filter(scope => API_KEY_SCOPES.includes(scope) && scope !== 'admin');
+
+const pendingPairings = new Map(); // pairingId -> { id, code, deviceName, scopes, expiresAt, attempts, timer }
+
+// Dashboard sockets that may show pairing codes: those whose device is still enrolled.
+// Checked at send time, so a device removed from the registry stops getting codes at once.
+function getPairingDashboards() {
+  const ids = io.sockets.adapter.rooms.get(ROLE_ROOMS.dashboard) || new Set();
+  return Array.from(ids)
+    .map(id => io.sockets.sockets.get(id))
+    .filter(socket => socket && isEnrolledDevice(devices[socket.data.deviceId]));
+}
+
+// Remove a pairing request and tell the dashboards to hide its code
+function endPairing(pairing, reason) {
+  clearTimeout(pairing.timer);
+  pendingPairings.delete(pairing.id);
+  io.to('dashboards').emit('pairing-ended', {
+    pairingId: pairing.id,
+    deviceName: pairing.deviceName,
+    reason
+  });
+}
+
+// Start pairing: the code is only sent to the dashboards, never back to the caller
+app.post('/api/pair/request', pairingLimiter, (req, res) => {
+  const { deviceName } = req.body;
+  req.audit = { action: 'pairing.requested', target: typeof deviceName === 'string' ? deviceName.trim() : null };
+
+  if (typeof deviceName !== 'string' || !deviceName.trim() || deviceName.trim().length > 50) {
+    return res.status(400).json({
+      success: false,
+      error: 'deviceName is required (up to 50 characters)'
+    });
+  }
+
+  const scopes = req.body.scopes === undefined ? [...PAIRING_SCOPES] : req.body.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !PAIRING_SCOPES.includes(scope))) {
+    return res.status(400).json({
+      success: false,
+      error: `scopes must be a non-empty array of: ${PAIRING_SCOPES.join(', ')}`
+    });
+  }
 
-          case 'volume':
-            if (typeof message.value === 'number' && message.value >= 0 && message.value <= 100) {
-              dashboardState.volume = message.value;
-              io.emit('control-volume', { level: message.value });
-              console.log('Setting volume to:', message.value);
-            } else {
-              console.warn('Invalid volume value:', message.value);
-            }
-            break;
+  const dashboards = getPairingDashboards();
+  if (dashboards.length === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'No enrolled dashboard is connected to show the pairing code'
+    });
+  }
 
-          case 'next':
-            io.emit('control-next');
-            console.log('Playing next video in playlist');
-            break;
+  if (pendingPairings.size >= MAX_PENDING_PAIRINGS) {
+    return res.status(429).json({
+      success: false,
+      error: 'Too many pairing requests are waiting, please try again in a few minutes'
+    });
+  }
 
-          case 'previous':
-            io.emit('control-previous');
-            console.log('Playing previous video in playlist');
-            break;
+  const pairing = {
+    id: crypto.randomBytes(16).toString('hex'),
+    code: crypto.randomInt(0, 10 ** PAIRING_CODE_LENGTH).toString().padStart(PAIRING_CODE_LENGTH, '0'),
+    deviceName: deviceName.trim(),
+    scopes: [...new Set(scopes)],
+    expiresAt: Date.now() + PAIRING_CODE_TTL,
+    attempts: 0
+  };
+  pairing.timer = setTimeout(() => endPairing(pairing, 'expired'), PAIRING_CODE_TTL);
+  pendingPairings.set(pairing.id, pairing);
+  req.audit.details = { pairingId: pairing.id, scopes: pairing.scopes };
+
+  const pairingCode = {
+    pairingId: pairing.id,
+    code: pairing.code,
+    deviceName: pairing.deviceName,
+    scopes: pairing.scopes,
+    expiresAt: new Date(pairing.expiresAt).toISOString()
+  };
+  dashboards.forEach(socket => socket.emit('pairing-code', pairingCode));
+  console.log(`[AUTH] Pairing requested for "${pairing.deviceName}" from IP: ${req.ip}`);
 
-          case 'mute':
-            io.emit('control-mute');
-            console.log('Toggling mute');
-            break;
+  res.status(201).json({
+    success: true,
+    message: 'Enter the code shown on the dashboard',
+    pairingId: pairing.id,
+    codeLength: PAIRING_CODE_LENGTH,
+    expiresAt: new Date(pairing.expiresAt).toISOString()
+  });
+});
 
-          case 'seek-back':
-            io.emit('control-seek-back');
-            console.log('Seeking backward 10 seconds');
-            break;
+// Finish pairing: exchange the code shown on the dashboard for an API key (single use)
+app.post('/api/pair/complete', pairingLimiter, (req, res) => {
+  const { pairingId, code } = req.body;
+  const pairing = typeof pairingId === 'string' ? pendingPairings.get(pairingId) : null;
+  req.audit = { action: 'auth.pairing', target: pairing ? pairing.deviceName : null, details: { pairingId } };
 
-          case 'seek-forward':
-            io.emit('control-seek-forward');
-            console.log('Seeking forward 10 seconds');
-            break;
+  if (!pairing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Pairing request not found or expired'
+    });
+  }
 
-          case 'theater':
-            io.emit('control-theater');
-            console.log('Toggling theater mode');
-            break;
+  if (typeof code !== 'string' || !safeEqual(code.trim(), pairing.code)) {
+    pairing.attempts++;
+    const attemptsRemaining = MAX_PAIRING_ATTEMPTS - pairing.attempts;
+    console.warn(`[AUTH] Wrong pairing code for "${pairing.deviceName}" from IP: ${req.ip}`);
 
-          default:
-            console.warn(`Unknown command: ${message.command}`);
-        }
-      }
-    } catch (e) {
-      console.error('Error handling message:', e);
+    req.audit.details.attemptsRemaining = attemptsRemaining;
+    if (attemptsRemaining <= 0) {
+      endPairing(pairing, 'too-many-attempts');
     }
-  });
+    return res.status(401).json({
+      success: false,
+      error: attemptsRemaining > 0 ? 'Invalid pairing code' : 'Invalid pairing code. The pairing request has been cancelled',
+      attemptsRemaining
+    });
+  }
 
-  socket.on('disconnect', () => {
-    connectedClientsCount--;
+  const newKey = generateApiKey();
+  const fileKeys = loadApiKeys();
+  const newKeyEntry = { ...createApiKeyRecord(pairing.deviceName, newKey, pairing.scopes), pairedAt: new Date().toISOString() };
+  fileKeys.push(newKeyEntry);
 
-    // Remove client from the list
-    const clientIndex = connectedClients.findIndex(c => c.id === socket.id);
-    if (clientIndex !== -1) {
-      const removedClient = connectedClients.splice(clientIndex, 1)[0];
-      const duration = Math.round((Date.now() - new Date(removedClient.connectedAt).getTime()) / 1000);
-      console.log(`Client disconnected: ${removedClient.name} (${removedClient.type}) from ${removedClient.ipAddress}. ID: ${removedClient.id}. Duration: ${duration}s. Total clients: ${connectedClientsCount}`);
+  if (!saveApiKeys(fileKeys)) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save API key'
+    });
+  }
 
-      // Broadcast updated client list to all remaining clients (filtered to external only)
-      io.emit('connected-clients', { clients: getExternalClients() });
-    } else {
-      console.log(`Client disconnected. Total clients: ${connectedClientsCount}`);
-    }
+  endPairing(pairing, 'paired');
+  req.audit.details.keyId = newKeyEntry.id;
+  recordAudit({
+    action: 'key.created',
+    actor: { type: 'device', id: null, name: pairing.deviceName },
+    ip: req.ip,
+    target: newKeyEntry.id,
+    details: { name: newKeyEntry.name, prefix: newKeyEntry.prefix, scopes: newKeyEntry.scopes, pairingId: pairing.id }
+  });
+  console.log(`[AUTH] Paired "${pairing.deviceName}" (${newKeyEntry.prefix}) from IP: ${req.ip}`);
+
+  res.json({
+    success: true,
+    message: 'Device paired successfully',
+    key: newKey,
+    keyId: newKeyEntry.id,
+    name: newKeyEntry.name,
+    prefix: newKeyEntry.prefix,
+    scopes: newKeyEntry.scopes
   });
 });
 
-// API endpoint to receive YouTube URL
-app.post('/api/play', requireApiKey, playLimiter, (req, res) => {
-  const { url } = req.body;
+// Admin API endpoints for key management
+// Generate and save a new API key
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+  const { name } = req.body;
+  req.audit = { action: 'key.created', target: null };
 
-  if (!url) {
+  if (typeof name !== 'string' || !name.trim()) {
     return res.status(400).json({
       success: false,
-      error: 'URL is required'
+      error: 'Name is required'
     });
   }
 
-  // Validate URL format
-  if (!isValidYouTubeUrl(url)) {
-    console.warn(`Invalid URL rejected: ${url.substring(0, 50)}`);
+  const { scopes, error } = parseScopes(req.body.scopes);
+  const expiry = parseExpiry(req.body.expiresAt);
+  if (error || expiry.error) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid YouTube URL format'
+      error: error || expiry.error
     });
   }
 
-  // Additional length check
-  if (url.length > 500) {
-    return res.status(400).json({
+  // Generate a secure random key; the secret is returned only in this response
+  const newKey = generateApiKey();
+  const fileKeys = loadApiKeys();
+  const newKeyEntry = { ...createApiKeyRecord(name.trim(), newKey, scopes), expiresAt: expiry.expiresAt };
+
+  fileKeys.push(newKeyEntry);
+  req.audit = {
+    action: 'key.created',
+    target: newKeyEntry.id,
+    details: { name: newKeyEntry.name, prefix: newKeyEntry.prefix, scopes, expiresAt: newKeyEntry.expiresAt }
+  };
+
+  if (saveApiKeys(fileKeys)) {
+    res.json({
+      success: true,
+      message: 'API key generated and saved successfully',
+      key: newKey,
+      keyId: newKeyEntry.id,
+      prefix: newKeyEntry.prefix,
+      scopes,
+      expiresAt: newKeyEntry.expiresAt
+    });
+  } else {
+    res.status(500).json({
       success: false,
-      error: 'URL too long'
+      error: 'Failed to save API key'
     });
   }
+});
 
-  console.log(`Received valid URL: ${url}`);
+// List all API keys (prefixes only; secrets are never returned)
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  const maskedKeys = loadApiKeys().map(k => ({
+    ...describeApiKey(k),
+    source: 'file'
+  }));
 
-  // Broadcast the URL to all connected clients
-  io.emit('play-video', { url });
+  const maskedEnvKeys = getEnvApiKeys().map((key, index) => ({
+    id: `env-${index}`,
+    name: 'Environment Variable',
+    prefix: getKeyPrefix(key),
+    scopes: [...API_KEY_SCOPES],
+    status: 'active',
+    createdAt: null,
+    expiresAt: null,
+    rateLimits: { ...DEFAULT_KEY_RATE_LIMITS },
+    usage: getKeyUsage(`env-${index}`),
+    source: 'env'
+  }));
 
   res.json({
     success: true,
-    message: 'Video URL sent to dashboard',
-    clientCount: getExternalClients().length
+    keys: [...maskedKeys, ...maskedEnvKeys]
   });
 });
 
-// Play now endpoint - plays video immediately (adds to top of playlist and plays)
-app.post('/api/play-now', requireApiKey, playLimiter, (req, res) => {
-  const { url } = req.body;
+// Rename an API key or change its scopes and rate limits
+app.patch('/api/admin/keys/:id', requireAdmin, handleKeyUpdate);
 
-  if (!url) {
+// Revoke an API key (kept in the file with the revocation time and reason)
+app.delete('/api/admin/keys/:id', requireAdmin, handleKeyRevocation);
+
+// Issue a successor key; the old one stays valid for a grace period
+app.post('/api/admin/keys/:id/rotate', requireAdmin, handleKeyRotation);
+
+// Admin API endpoints for webhooks
+// List webhook subscriptions
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    webhooks: webhooks.map(getWebhookSummary),
+    availableEvents: WEBHOOK_EVENTS
+  });
+});
+
+// Create a webhook subscription (the signing secret is generated unless one is given)
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
+  req.audit = { action: 'settings.webhook-created', target: null };
+  const error = validateWebhookInput(req.body, false);
+  if (error) {
     return res.status(400).json({
       success: false,
-      error: 'URL is required'
+      error
     });
   }
 
-  // Validate URL format
-  if (!isValidYouTubeUrl(url)) {
-    console.warn(`Invalid URL rejected: ${url.substring(0, 50)}`);
-    return res.status(400).json({
+  const { url, events, enabled, description, secret } = req.body;
+  const webhook = {
+    id: crypto.randomBytes(16).toString('hex'),
+    url,
+    events: [...new Set(events)],
+    enabled: enabled !== false,
+    description: description ? description.trim() : '',
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  webhooks.push(webhook);
+  req.audit = { action: 'settings.webhook-created', target: webhook.id, details: { url, events: webhook.events } };
+
+  if (saveWebhooks()) {
+    res.json({
+      success: true,
+      message: 'Webhook created. Store the secret now, it will not be shown again.',
+      webhook: getWebhookSummary(webhook),
+      secret: webhook.secret
+    });
+  } else {
+    webhooks = webhooks.filter(w => w.id !== webhook.id);
+    res.status(500).json({
       success: false,
-      error: 'Invalid YouTube URL format'
+      error: 'Failed to save webhook'
     });
   }
+});
 
-  // Additional length check
-  if (url.length > 500) {
+// Update a webhook's URL, events, description or enabled flag
+app.patch('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  req.audit = { action: 'settings.webhook-updated', target: req.params.id };
+  const webhook = webhooks.find(w => w.id === req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  const error = validateWebhookInput(req.body, true);
+  if (error) {
     return res.status(400).json({
       success: false,
-      error: 'URL too long'
+      error
     });
   }
 
-  console.log(`Received valid URL for immediate playback: ${url}`);
+  const { url, events, enabled, description } = req.body;
+  req.audit.details = { changed: ['url', 'events', 'enabled', 'description'].filter(field => req.body[field] !== undefined) };
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (enabled !== undefined) webhook.enabled = enabled;
+  if (description !== undefined) webhook.description = description.trim();
 
-  // Broadcast the URL to all connected clients for immediate playback
-  io.emit('play-video-now', { url });
+  if (saveWebhooks()) {
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook: getWebhookSummary(webhook)
+    });
+  } else {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save webhook'
+    });
+  }
+});
 
-  res.json({
-    success: true,
-    message: 'Video sent to dashboard for immediate playback',
-    clientCount: getExternalClients().length
-  });
+// Delete a webhook (pending retries are dropped)
+app.delete('/api/admin/webhooks/:id', requireAdmin, (req, res) => {
+  req.audit = { action: 'settings.webhook-deleted', target: req.params.id };
+  const index = webhooks.findIndex(w => w.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  webhooks.splice(index, 1);
+
+  if (saveWebhooks()) {
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } else {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
 });
 
-// Deprecated: Pause video endpoint (now toggles play/pause for backward compatibility)
-app.post('/api/pause', requireApiKey, playLimiter, (req, res) => {
-  console.log('Toggle play/pause command received (via deprecated /api/pause)');
-  io.emit('control-play-pause');
+// Recent deliveries for a webhook, newest first
+app.get('/api/admin/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+  if (!webhooks.some(w => w.id === req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
   res.json({
     success: true,
-    message: 'Toggle play/pause command sent to all dashboards',
-    clientCount: getExternalClients().length,
-    deprecated: true,
-    deprecationMessage: 'This endpoint is deprecated. The server now uses a toggle for play/pause.'
+    deliveries: webhookDeliveries.filter(d => d.webhookId === req.params.id).reverse()
   });
 });
 
-// Deprecated: Resume/Play video endpoint (now toggles play/pause for backward compatibility)
-app.post('/api/resume', requireApiKey, playLimiter, (req, res) => {
-  console.log('Toggle play/pause command received (via deprecated /api/resume)');
-  io.emit('control-play-pause');
+// Send a test "ping" event to a webhook, whatever events it is subscribed to
+app.post('/api/admin/webhooks/:id/test', requireAdmin, (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.id);
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  const delivery = deliverWebhook(webhook, 'ping', { message: 'Test delivery from Liveboard' });
   res.json({
     success: true,
-    message: 'Toggle play/pause command sent to all dashboards',
-    clientCount: getExternalClients().length,
-    deprecated: true,
-    deprecationMessage: 'This endpoint is deprecated. The server now uses a toggle for play/pause.'
+    message: 'Test delivery queued',
+    deliveryId: delivery.id
   });
 });
 
-// Stop video endpoint
-app.post('/api/stop', requireApiKey, playLimiter, (req, res) => {
-  console.log('Stop command received');
-  io.emit('control-stop');
+// IP access lists (CIDR ranges)
+app.get('/api/admin/access-lists', requireAdmin, (req, res) => {
   res.json({
     success: true,
-    message: 'Stop command sent to all dashboards',
-    clientCount: getExternalClients().length
+    allowlist: accessLists.allowlist,
+    denylist: accessLists.denylist,
+    yourIp: normalizeIp(req.ip)
   });
 });
 
-// Toggle fullscreen endpoint
-app.post('/api/fullscreen', requireApiKey, playLimiter, (req, res) => {
-  console.log('Toggle fullscreen command received');
-  io.emit('control-fullscreen');
+// Replace the allowlist and/or denylist. A change that would block the caller's own IP is refused.
+app.put('/api/admin/access-lists', requireAdmin, (req, res) => {
+  req.audit = { action: 'settings.access-lists', target: null };
+  const { lists, error } = parseAccessLists(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const previous = accessLists;
+  applyAccessLists(lists);
+
+  if (!checkIpAccess(req.ip).allowed) {
+    applyAccessLists(previous);
+    return res.status(400).json({
+      success: false,
+      error: `These lists would block your own IP address (${normalizeIp(req.ip)})`
+    });
+  }
+
+  try {
+    writeJsonFileAtomic(ACCESS_LISTS_FILE, lists);
+  } catch (saveError) {
+    applyAccessLists(previous);
+    console.error('Error saving access lists:', saveError.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save access lists'
+    });
+  }
+
+  req.audit.details = { from: previous, to: lists };
+  console.log(`[AUTH] IP access lists updated (${lists.allowlist.length} allowed, ${lists.denylist.length} denied ranges)`);
+
   res.json({
     success: true,
-    message: 'Toggle fullscreen command sent to all dashboards',
-    clientCount: getExternalClients().length
+    message: 'Access lists updated',
+    allowlist: lists.allowlist,
+    denylist: lists.denylist
   });
 });
 
-// Deprecated: Exit fullscreen endpoint (now toggles fullscreen for backward compatibility)
-app.post('/api/exitfullscreen', requireApiKey, playLimiter, (req, res) => {
-  console.log('Toggle fullscreen command received (via deprecated /api/exitfullscreen)');
-  io.emit('control-fullscreen');
+// IPs with recent invalid API keys, including current lockouts
+app.get('/api/admin/lockouts', requireAdmin, (req, res) => {
+  pruneAuthFailures();
+  const lockouts = [...authFailures].map(([ip, entry]) => describeLockout(ip, entry));
+
   res.json({
     success: true,
-    message: 'Toggle fullscreen command sent to all dashboards',
-    clientCount: getExternalClients().length,
-    deprecated: true,
-    deprecationMessage: 'This endpoint is deprecated. Use /api/fullscreen instead, which now toggles fullscreen mode.'
+    lockouts,
+    locked: lockouts.filter(l => l.locked).length
   });
 });
 
-// Volume control endpoint
-app.post('/api/volume', requireApiKey, playLimiter, (req, res) => {
-  const { level } = req.body;
+// Clear one IP's lockout and back-off
+app.delete('/api/admin/lockouts/:ip', requireAdmin, (req, res) => {
+  const ip = normalizeIp(req.params.ip);
+  req.audit = { action: 'security.lockout-cleared', target: ip };
 
-  // Validate volume level
-  if (typeof level !== 'number' || level < 0 || level > 100) {
-    return res.status(400).json({
+  if (!authFailures.delete(ip)) {
+    return res.status(404).json({
       success: false,
-      error: 'Volume level must be a number between 0 and 100'
+      error: 'No failed attempts are recorded for this IP'
     });
   }
 
-  console.log('Volume control command received:', level);
-  dashboardState.volume = level;
-  io.emit('control-volume', { level });
+  console.log(`[AUTH] Lockout cleared for IP ${ip}`);
   res.json({
     success: true,
-    message: 'Volume command sent to all dashboards',
-    level,
-    clientCount: getExternalClients().length
+    message: 'Lockout cleared'
   });
 });
 
-// Play next video in playlist endpoint
-app.post('/api/next', requireApiKey, playLimiter, (req, res) => {
-  console.log('Play next command received');
-  io.emit('control-next');
+// Clear every lockout
+app.delete('/api/admin/lockouts', requireAdmin, (req, res) => {
+  const cleared = authFailures.size;
+  authFailures.clear();
+  req.audit = { action: 'security.lockout-cleared', target: 'all', details: { cleared } };
+
+  console.log(`[AUTH] Cleared ${cleared} lockout records`);
   res.json({
     success: true,
-    message: 'Play next command sent to all dashboards',
-    clientCount: getExternalClients().length
+    message: 'All lockouts cleared',
+    cleared
   });
 });
 
-// Play previous video in playlist endpoint
-app.post('/api/previous', requireApiKey, playLimiter, (req, res) => {
-  console.log('Play previous command received');
-  io.emit('control-previous');
+// Origin policy diagnostics: the active rules and the origins that were blocked.
+// ?check=<origin> reports the decision for one origin without making a request from it.
+app.get('/api/admin/origins', requireAdmin, (req, res) => {
+  const check = typeof req.query.check === 'string' && req.query.check
+    ? { origin: req.query.check, ...checkOrigin(req.query.check) }
+    : undefined;
+
+  res.json({
+    success: true,
+    policy: {
+      source: originPolicy.source,
+      strict: originPolicy.strict,
+      rules: originPolicy.rules.map(rule => ({ type: rule.type, entry: rule.entry }))
+    },
+    blocked: [...blockedOrigins.values()].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt)),
+    check
+  });
+});
+
+// Forget the blocked origins reported so far
+app.delete('/api/admin/origins/blocked', requireAdmin, (req, res) => {
+  const cleared = blockedOrigins.size;
+  blockedOrigins.clear();
+
+  res.json({
+    success: true,
+    message: 'Blocked origins cleared',
+    cleared
+  });
+});
+
+// CSP violation reports sent by browsers (no API key; see report-uri in the policy)
+app.post(CSP_REPORT_PATH, skipAudit, cspReportLimiter, express.json({ type: ['application/csp-report', 'application/reports+json'], limit: '10kb' }), (req, res) => {
+  const reports = Array.isArray(req.body)
+    ? req.body.filter(report => report && report.type === 'csp-violation').map(report => report.body)
+    : [req.body && req.body['csp-report']];
+  reports
+    .filter(report => report && typeof report === 'object')
+    .forEach(recordCspReport);
+
+  res.status(204).end();
+});
+
+// CSP violations reported so far, most recent first
+app.get('/api/admin/csp-reports', requireAdmin, (req, res) => {
   res.json({
     success: true,
-    message: 'Play previous command sent to all dashboards',
-    clientCount: getExternalClients().length
+    mode: CSP_REPORT_ONLY ? 'report-only' : 'enforce',
+    reports: [...cspReports.values()].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
   });
 });
 
-// Mute/unmute endpoint
-app.post('/api/mute', requireApiKey, playLimiter, (req, res) => {
-  console.log('Mute/unmute command received');
-  io.emit('control-mute');
+app.delete('/api/admin/csp-reports', requireAdmin, (req, res) => {
+  const cleared = cspReports.size;
+  cspReports.clear();
+
   res.json({
     success: true,
-    message: 'Mute/unmute command sent to all dashboards',
-    clientCount: getExternalClients().length
+    message: 'CSP reports cleared',
+    cleared
   });
 });
 
-// Theater mode toggle endpoint
-app.post('/api/theater', requireApiKey, playLimiter, (req, res) => {
-  console.log('Theater mode toggle command received');
-  io.emit('control-theater');
+// HTTPS status and the loaded certificate
+app.get('/api/admin/tls', requireAdmin, (req, res) => {
   res.json({
     success: true,
-    message: 'Theater mode toggle command sent to all dashboards',
-    clientCount: getExternalClients().length
+    enabled: HTTPS_ENABLED,
+    certificate: tlsCertificate,
+    hstsMaxAge: req.secure ? HSTS_MAX_AGE : 0,
+    httpRedirectPort: HTTPS_ENABLED ? HTTP_REDIRECT_PORT : null
   });
 });
 
-// Seek backward endpoint
-app.post('/api/seek-backward', requireApiKey, playLimiter, (req, res) => {
-  // Validate that body is empty or only contains expected properties
-  if (req.body && Object.keys(req.body).length > 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'This endpoint does not accept request body parameters'
-    });
-  }
+// Reload the certificate files now instead of waiting for the file watcher
+app.post('/api/admin/tls/reload', requireAdmin, (req, res) => {
+  req.audit = { action: 'settings.tls-reload', target: HTTPS_ENABLED ? CERT_FILE : null };
 
-  // Check if any clients are connected
-  if (getExternalClients().length === 0) {
-    return res.status(503).json({
+  if (!HTTPS_ENABLED) {
+    return res.status(409).json({
       success: false,
-      error: 'No clients connected to receive the command'
+      error: 'HTTPS is not enabled'
     });
   }
 
-  console.log('Seek backward command received');
-
-  try {
-    io.emit('control-seek-back');
-    res.json({
-      success: true,
-      message: 'Seek backward command sent to all dashboards',
-      clientCount: getExternalClients().length
-    });
-  } catch (error) {
-    console.error('Failed to emit seek backward command:', error);
+  if (!loadCertificate()) {
     return res.status(500).json({
       success: false,
-      error: 'Failed to broadcast command to clients'
+      error: 'Failed to load the certificate files. The current certificate is still in use; see the server log.'
     });
   }
+
+  res.json({
+    success: true,
+    message: 'Certificate reloaded',
+    certificate: tlsCertificate
+  });
 });
 
-// Seek forward endpoint
-app.post('/api/seek-forward', requireApiKey, playLimiter, (req, res) => {
-  // Validate that body is empty or only contains expected properties
-  if (req.body && Object.keys(req.body).length > 0) {
+// Query the audit log, newest first. Filters: from/to (ISO 8601), actor (key ID, prefix, name or
+// actor type), action (comma-separated, "key.*" matches a prefix), result and limit.
+app.get('/api/audit', requireAdmin, (req, res) => {
+  const { actor, action, result } = req.query;
+  const from = req.query.from ? Date.parse(req.query.from) : null;
+  const to = req.query.to ? Date.parse(req.query.to) : null;
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
     return res.status(400).json({
       success: false,
-      error: 'This endpoint does not accept request body parameters'
+      error: 'from and to must be ISO 8601 dates'
     });
   }
 
-  // Check if any clients are connected
-  if (getExternalClients().length === 0) {
-    return res.status(503).json({
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_QUERY_LIMIT) {
+    return res.status(400).json({
       success: false,
-      error: 'No clients connected to receive the command'
+      error: `limit must be between 1 and ${MAX_AUDIT_QUERY_LIMIT}`
     });
   }
 
-  console.log('Seek forward command received');
-
-  try {
-    io.emit('control-seek-forward');
-    res.json({
-      success: true,
-      message: 'Seek forward command sent to all dashboards',
-      clientCount: getExternalClients().length
-    });
-  } catch (error) {
-    console.error('Failed to emit seek forward command:', error);
-    return res.status(500).json({
+  if (result !== undefined && !['success', 'denied', 'failure'].includes(result)) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to broadcast command to clients'
+      error: 'result must be success, denied or failure'
     });
   }
-});
 
-// Get current state endpoint
-app.get('/api/state', requireApiKey, (req, res) => {
-  console.log('State request received');
+  const entries = queryAuditLog({
+    from,
+    to,
+    actor: typeof actor === 'string' && actor ? actor : null,
+    actions: typeof action === 'string' && action ? action.split(',').map(a => a.trim()).filter(Boolean) : null,
+    result,
+    limit
+  });
+
   res.json({
     success: true,
-    state: {
-      volume: dashboardState.volume,
-      playbackStatus: dashboardState.playbackStatus,
-      currentVideoTitle: dashboardState.currentVideoTitle
-    },
-    timestamp: new Date().toISOString()
+    count: entries.length,
+    entries
   });
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    connectedClients: getExternalClients()
-  });
+// Serve the dashboard
+app.get('/', (req, res) => {
+  sendPage(res, 'index.html');
 });
 
-// Debug endpoint to see all connected clients (including dashboards)
-app.get('/api/debug/clients', (req, res) => {
+// Serve the admin login page (first-run setup when no password is set)
+app.get('/login', (req, res) => {
+  sendPage(res, 'login.html');
+});
+
+// Current admin session state for the login and key management pages
+app.get('/api/admin/session', (req, res) => {
+  const session = getAdminSession(req);
   res.json({
     success: true,
-    totalClients: connectedClients.length,
-    externalClients: getExternalClients().length,
-    dashboardClients: connectedClients.filter(c => c.type === 'dashboard').length,
-    clients: connectedClients.map(c => ({
-      id: c.id,
-      name: c.name,
-      type: c.type,
-      ipAddress: c.ipAddress,
-      connectedAt: c.connectedAt,
-      duration: Math.round((Date.now() - new Date(c.connectedAt).getTime()) / 1000) + 's'
-    }))
+    authenticated: !!session,
+    setupRequired: !adminAccount,
+    csrfToken: session ? session.csrfToken : null,
+    expiresAt: session ? new Date(session.expiresAt).toISOString() : null
   });
 });
 
-// Admin API endpoints for key management
-// Generate and save a new API key
-app.post('/api/admin/keys', requireApiKey, (req, res) => {
-  const { name } = req.body;
+// First-run setup: exchange the bootstrap token printed at startup for an admin password
+app.post('/api/admin/setup', adminLoginLimiter, (req, res) => {
+  req.audit = { action: 'auth.admin-setup', target: 'admin' };
+  const { bootstrapToken: token, password } = req.body;
+
+  if (adminAccount) {
+    return res.status(409).json({
+      success: false,
+      error: 'An admin password is already set'
+    });
+  }
+
+  if (typeof token !== 'string' || !bootstrapToken || !safeEqual(token.trim(), bootstrapToken)) {
+    console.warn(`[AUTH] Invalid admin bootstrap token from IP: ${req.ip}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid setup token'
+    });
+  }
 
-  if (!name) {
+  if (typeof password !== 'string' || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
     return res.status(400).json({
       success: false,
-      error: 'Name is required'
+      error: `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`
     });
   }
 
-  // Generate a secure random key
-  const newKey = generateApiKey();
-  const fileKeys = loadApiKeys();
+  if (!saveAdminAccount(hashPassword(password))) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save admin password'
+    });
+  }
 
-  const newKeyEntry = {
-    id: crypto.randomBytes(16).toString('hex'),
-    name: name.trim(),
-    key: newKey,
-    createdAt: new Date().toISOString()
-  };
+  bootstrapToken = null;
+  const session = createAdminSession(req, res);
+  console.log(`[AUTH] Admin password set from IP: ${req.ip}`);
 
-  fileKeys.push(newKeyEntry);
+  res.json({
+    success: true,
+    message: 'Admin password set',
+    csrfToken: session.csrfToken
+  });
+});
 
-  if (saveApiKeys(fileKeys)) {
-    res.json({
-      success: true,
-      message: 'API key generated and saved successfully',
-      key: newKey,
-      keyId: newKeyEntry.id
+// Admin login
+app.post('/api/admin/login', adminLoginLimiter, (req, res) => {
+  req.audit = { action: 'auth.admin-login', target: 'admin' };
+  const { password } = req.body;
+
+  if (!adminAccount) {
+    return res.status(409).json({
+      success: false,
+      error: 'No admin password is set yet. Use the setup token printed at server startup.'
     });
-  } else {
-    res.status(500).json({
+  }
+
+  if (typeof password !== 'string' || !verifyPassword(password, adminAccount.passwordHash)) {
+    console.warn(`[AUTH] Failed admin login from IP: ${req.ip}`);
+    return res.status(401).json({
       success: false,
-      error: 'Failed to save API key'
+      error: 'Invalid password'
     });
   }
-});
 
-// List all API keys (masked for security)
-app.get('/api/admin/keys', requireApiKey, (req, res) => {
-  const fileKeys = loadApiKeys();
-  const envKeys = (process.env.API_KEYS || '')
-    .split(',')
-    .map(key => key.trim())
-    .filter(key => key.length > 0);
+  const session = createAdminSession(req, res);
+  console.log(`[AUTH] Admin logged in from IP: ${req.ip}`);
 
-  const maskedKeys = fileKeys.map(k => ({
-    id: k.id,
-    name: k.name,
-    key: k.key.substring(0, 8) + '...' + k.key.substring(k.key.length - 4),
-    createdAt: k.createdAt,
-    source: 'file'
-  }));
+  res.json({
+    success: true,
+    message: 'Logged in',
+    csrfToken: session.csrfToken
+  });
+});
 
-  const maskedEnvKeys = envKeys.map((key, index) => ({
-    id: `env-${index}`,
-    name: 'Environment Variable',
-    key: key.substring(0, 8) + '...' + key.substring(key.length - 4),
-    createdAt: null,
-    source: 'env'
-  }));
+// Admin logout
+app.post('/api/admin/logout', requireAdminSession, (req, res) => {
+  req.audit = { action: 'auth.admin-logout', target: 'admin' };
+  adminSessions.delete(req.adminSession.id);
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/' });
 
   res.json({
     success: true,
-    keys: [...maskedKeys, ...maskedEnvKeys]
+    message: 'Logged out'
   });
 });
 
-// Delete an API key
-app.delete('/api/admin/keys/:id', requireApiKey, (req, res) => {
-  const { id } = req.params;
-  const fileKeys = loadApiKeys();
-
-  const keyIndex = fileKeys.findIndex(k => k.id === id);
+// Change the admin password, ending every other session
+app.post('/api/admin/password', requireAdminSession, (req, res) => {
+  req.audit = { action: 'settings.admin-password', target: 'admin' };
+  const { currentPassword, newPassword } = req.body;
 
-  if (keyIndex === -1) {
-    return res.status(404).json({
+  if (typeof currentPassword !== 'string' || !verifyPassword(currentPassword, adminAccount.passwordHash)) {
+    return res.status(401).json({
       success: false,
-      error: 'API key not found or cannot be deleted (environment keys cannot be deleted via API)'
+      error: 'Current password is incorrect'
     });
   }
 
-  fileKeys.splice(keyIndex, 1);
-
-  if (saveApiKeys(fileKeys)) {
-    res.json({
-      success: true,
-      message: 'API key deleted successfully'
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`
     });
-  } else {
-    res.status(500).json({
+  }
+
+  if (!saveAdminAccount(hashPassword(newPassword))) {
+    return res.status(500).json({
       success: false,
-      error: 'Failed to delete API key'
+      error: 'Failed to save admin password'
     });
   }
-});
 
-// Serve the dashboard
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  adminSessions.forEach((session, id) => {
+    if (id !== req.adminSession.id) {
+      adminSessions.delete(id);
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Admin password changed'
+  });
 });
 
-// Serve the API keys list page (no auth required)
-app.get('/keys', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'keys.html'));
+// Serve the API keys list page (admin session required)
+app.get('/keys', requireAdminPage, (req, res) => {
+  sendPage(res, 'keys.html');
 });
 
 // Serve the old admin/keys page (redirect to new location)
@@ -1070,122 +6168,72 @@ app.get('/admin/keys', (req, res) => {
   res.redirect('/keys');
 });
 
-// Serve the setup page for adding new API keys
-app.get('/setup', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'setup.html'));
+// Serve the setup page for adding new API keys (admin session required)
+app.get('/setup', requireAdminPage, (req, res) => {
+  sendPage(res, 'setup.html');
 });
 
-// API endpoint to list all keys (no authentication required)
-app.get('/api/keys/list', (req, res) => {
+// API endpoint to list all keys
+app.get('/api/keys/list', requireAdminSession, (req, res) => {
   const fileKeys = loadApiKeys();
 
   res.json({
     success: true,
-    keys: fileKeys
+    keys: fileKeys.map(describeApiKey)
   });
 });
 
-// API endpoint to delete a key (no authentication required for now)
-app.delete('/api/keys/:keyId', (req, res) => {
-  const { keyId } = req.params;
-  const fileKeys = loadApiKeys();
-
-  const keyIndex = fileKeys.findIndex(k => k.id === keyId);
-
-  if (keyIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: 'API key not found'
-    });
-  }
+// API endpoint to revoke a key
+app.delete('/api/keys/:keyId', requireAdminSession, handleKeyRevocation);
 
-  fileKeys.splice(keyIndex, 1);
+// API endpoint to rotate a key
+app.post('/api/keys/:keyId/rotate', requireAdminSession, handleKeyRotation);
 
-  if (saveApiKeys(fileKeys)) {
-    res.json({
-      success: true,
-      message: 'API key deleted successfully'
-    });
-  } else {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to delete API key'
-    });
-  }
-});
+// API endpoint to rename a key or change its scopes and rate limits
+app.patch('/api/keys/:keyId', requireAdminSession, handleKeyUpdate);
 
-// API endpoint to rename a key (no authentication required for now)
-app.patch('/api/keys/:keyId', (req, res) => {
-  const { keyId } = req.params;
+// API endpoint for setup - generate a key for the setup or keys page
+app.post('/api/setup/generate-key', requireAdminSession, (req, res) => {
   const { name } = req.body;
+  req.audit = { action: 'key.created', target: null };
 
-  if (!name || !name.trim()) {
+  if (typeof name !== 'string' || !name.trim()) {
     return res.status(400).json({
       success: false,
       error: 'Name is required'
     });
   }
 
-  const fileKeys = loadApiKeys();
-  const keyIndex = fileKeys.findIndex(k => k.id === keyId);
-
-  if (keyIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: 'API key not found'
-    });
-  }
-
-  fileKeys[keyIndex].name = name.trim();
-
-  if (saveApiKeys(fileKeys)) {
-    res.json({
-      success: true,
-      message: 'API key renamed successfully'
-    });
-  } else {
-    res.status(500).json({
-      success: false,
-      error: 'Failed to rename API key'
-    });
-  }
-});
-
-// API endpoint for setup - generate key without authentication
-app.post('/api/setup/generate-key', (req, res) => {
-  const { name, key } = req.body;
-
-  if (!name || !key) {
-    return res.status(400).json({
-      success: false,
-      error: 'Name and key are required'
-    });
-  }
-
-  // Validate key format (should be 64 hex characters)
-  if (!/^[0-9a-f]{64}$/i.test(key)) {
+  const { scopes, error } = parseScopes(req.body.scopes);
+  const expiry = parseExpiry(req.body.expiresAt);
+  if (error || expiry.error) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid key format'
+      error: error || expiry.error
     });
   }
 
+  // The secret is returned only in this response; just its hash is stored
+  const newKey = generateApiKey();
   const fileKeys = loadApiKeys();
-
-  const newKeyEntry = {
-    id: crypto.randomBytes(16).toString('hex'),
-    name: name.trim(),
-    key: key.toLowerCase(),
-    createdAt: new Date().toISOString()
-  };
+  const newKeyEntry = { ...createApiKeyRecord(name.trim(), newKey, scopes), expiresAt: expiry.expiresAt };
 
   fileKeys.push(newKeyEntry);
+  req.audit = {
+    action: 'key.created',
+    target: newKeyEntry.id,
+    details: { name: newKeyEntry.name, prefix: newKeyEntry.prefix, scopes, expiresAt: newKeyEntry.expiresAt }
+  };
 
   if (saveApiKeys(fileKeys)) {
     res.json({
       success: true,
-      message: 'API key saved successfully',
-      keyId: newKeyEntry.id
+      message: 'API key generated successfully',
+      key: newKey,
+      keyId: newKeyEntry.id,
+      prefix: newKeyEntry.prefix,
+      scopes,
+      expiresAt: newKeyEntry.expiresAt
     });
   } else {
     res.status(500).json({
@@ -1456,20 +6504,12 @@ app.get('/openapi.json', (req, res) => {
 
 // Serve Swagger UI for interactive API documentation
 app.get('/api-docs', (req, res) => {
-  // Set custom CSP headers for Swagger UI to work properly
-  res.setHeader(
-    'Content-Security-Policy',
-    [
-      "default-src 'self'",
-      "script-src 'self' 'unsafe-inline' 'unsafe-eval' https://cdn.jsdelivr.net",
-      "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
-      "img-src 'self' https: data:",
-      "font-src 'self' https://cdn.jsdelivr.net data:",
-      "connect-src 'self' https://cdn.jsdelivr.net",
-      "object-src 'none'",
-      "base-uri 'self'"
-    ].join('; ')
-  );
+  // Swagger UI still needs 'unsafe-eval'; it is only allowed on this page
+  setContentSecurityPolicy(res, buildContentSecurityPolicy(req, res.locals.cspNonce, {
+    scriptSources: ["'unsafe-eval'"],
+    connectSources: ['https://cdn.jsdelivr.net'],
+    fontSources: ['https://cdn.jsdelivr.net']
+  }));
 
   const html = `
 <!DOCTYPE html>
@@ -1494,9 +6534,9 @@ app.get('/api-docs', (req, res) => {
 </head>
 <body>
     <div id="swagger-ui"></div>
-    <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.10.5/swagger-ui-bundle.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.10.5/swagger-ui-standalone-preset.js"></script>
-    <script>
+    <script nonce="${res.locals.cspNonce}" src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.10.5/swagger-ui-bundle.js"></script>
+    <script nonce="${res.locals.cspNonce}" src="https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.10.5/swagger-ui-standalone-preset.js"></script>
+    <script nonce="${res.locals.cspNonce}">
         window.onload = function() {
             const ui = SwaggerUIBundle({
                 url: '/openapi.json',
@@ -1525,11 +6565,187 @@ app.get('/api-docs', (req, res) => {
   res.send(html);
 });
 
+// HTTPS certificates: HTTPS_CERT_FILE/HTTPS_KEY_FILE, or a self-signed certificate generated on first
+// run and kept in DATA_DIR/tls. The files are watched, and changes are loaded without a restart.
+const CERT_SOURCE = HTTPS_CERT_CONFIGURED ? 'configured' : 'self-signed';
+const CERT_FILE = HTTPS_CERT_CONFIGURED ? path.resolve(process.env.HTTPS_CERT_FILE) : path.join(DATA_DIR, 'tls', 'cert.pem');
+const KEY_FILE = HTTPS_CERT_CONFIGURED ? path.resolve(process.env.HTTPS_KEY_FILE) : path.join(DATA_DIR, 'tls', 'key.pem');
+const CERT_WATCH_INTERVAL = 10 * 1000;
+const CERT_EXPIRY_WARNING = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SELF_SIGNED_CERT_DAYS = 825;
+
+// HSTS is only on by default for configured certificates: once a browser has seen it, it no longer
+// lets the user click through the warning that a self-signed certificate causes
+const HSTS_MAX_AGE = process.env.HSTS_MAX_AGE !== undefined
+  ? Math.max(0, parseInt(process.env.HSTS_MAX_AGE, 10) || 0)
+  : (HTTPS_CERT_CONFIGURED ? 180 * 24 * 60 * 60 : 0);
+
+// Plain HTTP port that redirects to HTTPS (off unless set)
+const HTTP_REDIRECT_PORT = parseInt(process.env.HTTP_REDIRECT_PORT, 10) || null;
+
+let tlsCertificate = null; // Details of the loaded certificate, for GET /api/admin/tls
+
+// Generate a self-signed certificate for this machine's names and LAN addresses (needs the openssl CLI)
+function generateSelfSignedCertificate() {
+  const hostname = os.hostname().toLowerCase();
+  const names = ['localhost', hostname, `${hostname}.local`, PUBLIC_URL ? PUBLIC_URL.hostname : null]
+    .filter(name => name && /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(name));
+  const addresses = ['127.0.0.1', '::1', ...Object.values(os.networkInterfaces())
+    .flat()
+    .filter(iface => iface && !iface.internal && iface.family === 'IPv4')
+    .map(iface => iface.address)];
+  const subjectAltName = [...new Set(names)].map(name => `DNS:${name}`)
+    .concat([...new Set(addresses)].map(address => `IP:${address}`))
+    .join(',');
+
+  fs.mkdirSync(path.dirname(CERT_FILE), { recursive: true });
+  execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+    '-days', String(SELF_SIGNED_CERT_DAYS),
+    '-subj', '/CN=Liveboard',
+    '-addext', `subjectAltName=${subjectAltName}`,
+    '-keyout', KEY_FILE,
+    '-out', CERT_FILE
+  ], { stdio: 'pipe' });
+  fs.chmodSync(KEY_FILE, 0o600);
+
+  console.log(`Generated a self-signed certificate for ${subjectAltName} in ${path.dirname(CERT_FILE)}`);
+}
+
+// Load the certificate and key into the running server. New connections use them straight away;
+// open connections (including sockets) are not affected. Invalid files leave the current ones in place.
+function loadCertificate() {
+  try {
+    const cert = fs.readFileSync(CERT_FILE);
+    const key = fs.readFileSync(KEY_FILE);
+    const x509 = new crypto.X509Certificate(cert);
+
+    if (!x509.checkPrivateKey(crypto.createPrivateKey(key))) {
+      throw new Error('the key does not match the certificate');
+    }
+
+    server.setSecureContext({ cert, key });
+    tlsCertificate = {
+      source: CERT_SOURCE,
+      certFile: CERT_FILE,
+      subject: x509.subject,
+      subjectAltName: x509.subjectAltName || null,
+      validFrom: new Date(x509.validFrom).toISOString(),
+      validTo: new Date(x509.validTo).toISOString(),
+      fingerprint256: x509.fingerprint256,
+      loadedAt: new Date().toISOString()
+    };
+
+    console.log(`Loaded TLS certificate (${CERT_SOURCE}), valid until ${tlsCertificate.validTo}, SHA-256 fingerprint ${x509.fingerprint256}`);
+    if (Date.parse(tlsCertificate.validTo) - Date.now() < CERT_EXPIRY_WARNING) {
+      console.warn(`⚠️  The TLS certificate expires on ${tlsCertificate.validTo}`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Failed to load TLS certificate from ${CERT_FILE}: ${error.message}`);
+    return false;
+  }
+}
+
+function setupHttps() {
+  if (CERT_SOURCE === 'self-signed' && (!fs.existsSync(CERT_FILE) || !fs.existsSync(KEY_FILE))) {
+    try {
+      generateSelfSignedCertificate();
+    } catch (error) {
+      console.error(`Failed to generate a self-signed certificate (is openssl installed?): ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (!loadCertificate()) {
+    process.exit(1);
+  }
+
+  // Renewals usually replace both files, so wait briefly for the second one before reloading
+  let reloadTimer = null;
+  [CERT_FILE, KEY_FILE].forEach(file => {
+    fs.watchFile(file, { interval: CERT_WATCH_INTERVAL }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(loadCertificate, 1000);
+    });
+  });
+  process.on('SIGHUP', loadCertificate);
+}
+
+// The plain HTTP listener: browsers are redirected to HTTPS. Other requests are refused rather
+// than redirected, so API clients notice instead of sending their keys in plaintext every time.
+function redirectToHttps(req, res) {
+  let location;
+  if (PUBLIC_URL && PUBLIC_URL.protocol === 'https:') {
+    location = `${PUBLIC_URL.origin}${req.url}`;
+  } else {
+    let hostname = 'localhost';
+    try {
+      hostname = new URL(`http://${req.headers.host}`).hostname;
+    } catch (e) {
+      // Keep localhost
+    }
+    location = `https://${hostname}${String(PORT) === '443' ? '' : `:${PORT}`}${req.url}`;
+  }
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    res.writeHead(301, { Location: location });
+    return res.end();
+  }
+
+  res.writeHead(403, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    success: false,
+    error: `HTTPS is required. Use ${location}`
+  }));
+}
+
+// Restore persisted state and schedules, and flush pending changes on shutdown
+restoreState();
+restoreSchedules();
+migrateApiKeys();
+checkApiKeyConfiguration();
+restoreKeyUsage();
+restoreAccessLists();
+restoreDevices();
+ensureAdminBootstrap();
+
+if (HTTPS_ENABLED) {
+  setupHttps();
+}
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    if (persistTimer) {
+      persistState();
+    }
+    if (keyUsageTimer) {
+      flushKeyUsage();
+    }
+    if (devicesTimer) {
+      flushDevices();
+    }
+    process.exit(0);
+  });
+});
+
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Dashboard: http://localhost:${PORT}`);
-  console.log(`API endpoint: POST http://localhost:${PORT}/api/play`);
-  console.log(`Human docs: http://localhost:${PORT}/documentation`);
-  console.log(`Machine docs: http://localhost:${PORT}/openapi.json`);
-  console.log(`Interactive docs: http://localhost:${PORT}/api-docs`);
+  const scheme = HTTPS_ENABLED ? 'https' : 'http';
+  console.log(`Server running on port ${PORT}${HTTPS_ENABLED ? ' (HTTPS)' : ''}`);
+  console.log(`Dashboard: ${scheme}://localhost:${PORT}`);
+  console.log(`Data directory: ${DATA_DIR}`);
+  console.log(`API endpoint: POST ${scheme}://localhost:${PORT}/api/play`);
+  console.log(`Human docs: ${scheme}://localhost:${PORT}/documentation`);
+  console.log(`Machine docs: ${scheme}://localhost:${PORT}/openapi.json`);
+  console.log(`Interactive docs: ${scheme}://localhost:${PORT}/api-docs`);
+  if (ALLOW_UNENROLLED_DASHBOARDS) {
+    console.warn('⚠️  ALLOW_UNENROLLED_DASHBOARDS is on: any browser can connect as a dashboard. Enroll your screens and turn it off.');
+  }
 });
+
+if (HTTPS_ENABLED && HTTP_REDIRECT_PORT) {
+  http.createServer(redirectToHttps).listen(HTTP_REDIRECT_PORT, () => {
+    console.log(`Redirecting HTTP on port ${HTTP_REDIRECT_PORT} to HTTPS`);
+  });
+}